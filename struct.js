@@ -7,10 +7,34 @@
 // ------------------------
 // MiniStruct.js with enum support
 class MiniStruct {
-    constructor(schema) {
+    constructor(schema, options = {}) {
         this.structs = {};
         this.enums = {}; // global enums
-        this.parseSchema(schema);
+        this.unions = {};
+        this.typeIds = {}; // struct/union name -> frame type id
+        this.typesById = {};
+        this.fingerprints = {}; // type name -> fingerprint(), filled on first use
+        // format: 'compact' (positional, default), 'tagged' (field numbers, schema evolution)
+        // 'packed' (bit-level, ranged ints/bools/enums use only the bits they need) or 'protobuf'
+        // (proto3 wire format for talking to protobuf services; see toProto())
+        // unionShape: 'tagged' decodes unions to { type, value }, 'keyed' to { [variant]: value }
+        // sourceName prefixes schema error positions (`schema:12:7: ...`)
+        // typeIds: { Name: id } pins frame type ids (default: declaration order of structs and unions)
+        // imports: { name: schemaText } (or name => schemaText) resolves `import name;` statements
+        // compiled: generate specialized encode/decode functions per struct (see compile())
+        // header: messages start with a magic byte, header version and the type's fingerprint,
+        // which decode checks so data is never read as the wrong struct (see identify())
+        // strict: decoding rejects truncated or malformed input with a DecodeError instead of
+        // filling defaults (appended fields that have a default may still be missing); turn off
+        // only for trusted data written by older schemas
+        this.options = { format: 'compact', unionShape: 'tagged', sourceName: 'schema', compiled: false, strict: true, ...options };
+        this.compiled = null;
+        // schema text, or bytes from toBinarySchema() (rebuilt without the text parser)
+        if (schema instanceof Uint8Array) this.loadBinarySchema(schema);
+        else this.parseSchema(schema);
+        if (this.options.format === 'protobuf') this.checkProtobufModel();
+        if (this.options.format === 'packed') this.checkPackedModel();
+        if (this.options.compiled) this.compile();
     }
 
     // static integer flavor map and helpers
@@ -23,11 +47,36 @@ class MiniStruct {
         "uint32": { signed: false, bits: 32 },
         // default "int" will be int32
         "int": { signed: true, bits: 32 },
+        // 64-bit flavors are backed by BigInt (safe-integer Numbers are accepted too)
+        "int64": { signed: true, bits: 64 },
+        "uint64": { signed: false, bits: 64 },
+        "varint64": { signed: true, bits: 64, encoding: 'varint' },
+        "uvarint64": { signed: false, bits: 64, encoding: 'varint' },
+        "zigzag64": { signed: true, bits: 64, encoding: 'zigzag' },
+        // variable-length 32-bit flavors: varint writes negatives as 10-byte two's
+        // complement, sint zigzags them so small magnitudes stay small
+        "varint": { signed: true, bits: 32, encoding: 'varint' },
+        "uvarint": { signed: false, bits: 32, encoding: 'varint' },
+        "sint": { signed: true, bits: 32, encoding: 'zigzag' },
+    };
+
+    // wire types for the tagged format: each field is written as a varint key
+    // (tag << 3 | wireType) so decoders can skip fields they don't know
+    static WIRE_TYPES = {
+        VARINT: 0,
+        FIXED64: 1,
+        LENGTH_DELIMITED: 2,
+        FIXED8: 3,
+        FIXED16: 4,
+        FIXED32: 5,
     };
 
     static intrinsicBoundsForInt(typeName) {
         const info = MiniStruct.INT_TYPES[typeName];
         if (!info) return null;
+        if (info.bits === 64) {
+            return info.signed ? [-(2n ** 63n), (2n ** 63n) - 1n] : [0n, (2n ** 64n) - 1n];
+        }
         if (info.signed) {
             const min = -(2 ** (info.bits - 1));
             const max = (2 ** (info.bits - 1)) - 1;
@@ -39,146 +88,666 @@ class MiniStruct {
         }
     }
 
+    // JSON.stringify that tolerates BigInt values (used in error messages)
+    static stringifyValue(value) {
+        return JSON.stringify(value, (k, v) => typeof v === 'bigint' ? `${v}n` : v);
+    }
+
     static validateRangeAgainstIntrinsic(typeName, rangeMin, rangeMax) {
         const intrinsic = this.intrinsicBoundsForInt(typeName);
         if (!intrinsic) return true;
         const [iMin, iMax] = intrinsic;
         if (rangeMin < iMin || rangeMax > iMax) {
-            throw new Error(`Schema error: range [${rangeMin},${rangeMax}] outside intrinsic bounds of ${typeName} (${iMin}..${iMax})`);
+            throw new StructError('SCHEMA', `Schema error: range [${rangeMin},${rangeMax}] outside intrinsic bounds of ${typeName} (${iMin}..${iMax})`, { expected: `[${iMin},${iMax}]`, actual: `[${rangeMin},${rangeMax}]` });
         }
         return true;
     }
 
+    // built-in non-integer scalar type names
+    static SCALAR_TYPES = ['string', 'any', 'bool', 'float', 'float32', 'float64', 'bytes'];
+
+    // shared text codecs (one per process instead of one per string)
+    static TEXT_ENCODER = new TextEncoder();
+    static TEXT_DECODER = new TextDecoder();
+    static STRICT_TEXT_DECODER = new TextDecoder('utf-8', { fatal: true });
+
     parseSchema(schema) {
-        // remove line comments but preserve spacing for brace matching
-        schema = schema.replace(/\/\/.*$/gm, "");
+        const ast = new SchemaParser(schema, this.options.sourceName).parse();
+        this.imports = []; // names of every schema pulled in, directly or not
+        this.ast = { kind: 'schema', body: this.resolveImports(ast, [this.options.sourceName]) };
+        this.buildModel(this.ast);
+    }
 
-        // Parse structs by scanning and matching braces so nested blocks (like inline enums) are handled
-        let i = 0;
-        while (true) {
-            const sIndex = schema.indexOf('struct ', i);
-            if (sIndex === -1) break;
-            // find name start
-            const nameStart = sIndex + 'struct '.length;
-            // find the next '{' after the name
-            const braceIndex = schema.indexOf('{', nameStart);
-            if (braceIndex === -1) break; // malformed
-            const name = schema.slice(nameStart, braceIndex).trim().split(/\s+/)[0];
-            // find matching closing brace
-            let depth = 0;
-            let j = braceIndex;
-            for (; j < schema.length; j++) {
-                const ch = schema[j];
-                if (ch === '{') depth++;
-                else if (ch === '}') {
-                    depth--;
-                    if (depth === 0) break;
+    // Replace `import` statements with the declarations of the named schema. options.imports
+    // maps names to schema text (or is a function doing so); each schema is pulled in once.
+    resolveImports(ast, chain) {
+        const body = [];
+        for (const node of ast.body) {
+            if (node.kind !== 'import') {
+                body.push(node);
+                continue;
+            }
+            if (chain.includes(node.name)) throw this.schemaError(node, `circular import of '${node.name}' (${[...chain, node.name].join(' -> ')})`);
+            if (this.imports.includes(node.name)) continue;
+            const imports = this.options.imports || {};
+            const text = typeof imports === 'function' ? imports(node.name) : imports[node.name];
+            if (typeof text !== 'string') throw this.schemaError(node, `cannot import '${node.name}': no schema with that name`);
+            this.imports.push(node.name);
+            const imported = new SchemaParser(text, node.name).parse();
+            this.tagSource(imported, node.name);
+            body.push(...this.resolveImports(imported, [...chain, node.name]));
+        }
+        return body;
+    }
+
+    // errors in imported declarations point at the imported schema, not the importing one
+    tagSource(node, source) {
+        if (!node || typeof node !== 'object') return;
+        if ('line' in node && !node.source) node.source = source;
+        for (const value of Object.values(node)) this.tagSource(value, source);
+    }
+
+    // Error pointing at a schema AST node, e.g. `schema:12:7: unknown type 'Adress' in field User.address`
+    schemaError(node, message) {
+        return SchemaParser.error(node.source || this.options.sourceName, node, message);
+    }
+
+    // Number structs and unions for framing (declaration order); options.typeIds pins some of them
+    assignTypeIds(ast) {
+        const pinned = this.options.typeIds || {};
+        const used = new Set(Object.values(pinned));
+        if (used.size !== Object.keys(pinned).length) throw new StructError('INVALID_OPTION', 'typeIds: each struct or union needs a distinct id');
+        let next = 0;
+        for (const decl of ast.body) {
+            if (decl.kind === 'enum') continue;
+            let id = pinned[decl.name];
+            if (id === undefined) {
+                while (used.has(next)) next++;
+                id = next;
+                used.add(id);
+            }
+            this.typeIds[decl.name] = id;
+            this.typesById[id] = decl.name;
+        }
+        for (const name of Object.keys(pinned)) {
+            if (!(name in this.typeIds)) throw new StructError('INVALID_OPTION', `typeIds: unknown struct or union '${name}'`, { actual: name });
+        }
+    }
+
+    // Turn the parsed AST into the structs / enums / unions model used by encode and decode.
+    // Every type reference is resolved here so schema mistakes surface at load time.
+    buildModel(ast) {
+        // structs, unions and global enums share one namespace
+        const declared = {};
+        for (const decl of ast.body) {
+            if (MiniStruct.INT_TYPES[decl.name] || MiniStruct.SCALAR_TYPES.includes(decl.name) || decl.name === 'map') {
+                throw this.schemaError(decl, `'${decl.name}' is a built-in type and can't be redefined`);
+            }
+            const prev = declared[decl.name];
+            if (prev) throw this.schemaError(decl, `duplicate name '${decl.name}' (${prev.kind} '${decl.name}' already defined at ${prev.source ? `${prev.source}:` : ''}${prev.line}:${prev.col})`);
+            declared[decl.name] = decl;
+        }
+        for (const decl of ast.body) {
+            if (decl.kind === 'enum') this.enums[decl.name] = this.buildEnum(decl);
+        }
+        for (const decl of ast.body) {
+            if (decl.kind === 'struct') this.structs[decl.name] = this.buildStruct(decl, declared);
+            else if (decl.kind === 'union') this.unions[decl.name] = this.buildUnion(decl, declared);
+        }
+        this.assignTypeIds(ast);
+        // defaults can reference any struct, union or enum, so type them once all exist
+        for (const decl of ast.body) {
+            if (decl.kind !== 'struct') continue;
+            const struct = this.structs[decl.name];
+            decl.fields.forEach((node, i) => {
+                if (node.default === undefined) return;
+                const field = struct.fields[i];
+                const owner = `${decl.name}.${node.name}`;
+                field.default = this.literalToValue(field.type, node.default, struct.localEnums, owner);
+                try {
+                    this.validateValueForField(field.type, field.default, owner, struct.localEnums);
+                } catch (e) {
+                    throw this.schemaError(node.default, `invalid default for ${owner}: ${e.message}`);
                 }
+            });
+        }
+    }
+
+    // Convert a parsed default literal to a typed value for the given field type
+    literalToValue(type, lit, localEnums, owner) {
+        const fail = expected => this.schemaError(lit, `invalid default for ${owner}: expected ${expected}, got ${this.describeLiteral(lit)}`);
+        if (typeof type === 'object' && type.prim === 'int') {
+            const info = MiniStruct.INT_TYPES[type.name];
+            if (lit.kind !== 'number' || !Number.isInteger(Number(lit.text))) throw fail(`integer (${type.name})`);
+            if (info.bits !== 64) return Number(lit.text);
+            return this.int64Output(/^-?\d+$/.test(lit.text) ? BigInt(lit.text) : BigInt(Number(lit.text)));
+        }
+        if (typeof type === 'object' && type.prim === 'array') {
+            if (lit.kind !== 'list') throw fail(`a list [...] for ${this.typeToString(type)}`);
+            return lit.items.map(item => this.literalToValue(type.of, item, localEnums, owner));
+        }
+        if (typeof type === 'object' && type.prim === 'map') {
+            if (lit.kind !== 'object') throw fail(`an object {...} for ${this.typeToString(type)}`);
+            const out = {};
+            for (const entry of lit.entries) {
+                const keyLit = /^-?\d+$/.test(entry.key) ? { kind: 'number', text: entry.key, line: entry.line, col: entry.col } : { kind: 'string', value: entry.key, line: entry.line, col: entry.col };
+                const key = this.literalToValue(type.key, keyLit, localEnums, owner);
+                out[String(key)] = this.literalToValue(type.value, entry.value, localEnums, owner);
             }
-            if (depth !== 0) break; // unbalanced braces
-            const body = schema.slice(braceIndex + 1, j);
-            this.structs[name] = this.parseStructBody(body, name);
-            // replace the parsed struct portion with spaces so global enum parsing won't see inline enums
-            const replaceLen = j - sIndex + 1;
-            schema = schema.slice(0, sIndex) + ' '.repeat(replaceLen) + schema.slice(j + 1);
-            i = sIndex + 1;
+            return out;
         }
+        if (typeof type === 'object' && type.prim === 'bytes') {
+            let data;
+            if (lit.kind === 'string') {
+                try { data = this.constructor.bytesFromText(lit.value); } catch (e) { throw fail('base64 or 0x-hex text'); }
+            } else if (lit.kind === 'list') {
+                data = Uint8Array.from(lit.items.map(item => this.literalToValue({ prim: 'int', name: 'uint8', range: null }, item, localEnums, owner)));
+            } else throw fail('base64 or 0x-hex text, or a list of byte values');
+            return this.bytesOutput(data);
+        }
+        if (type === 'bool') {
+            if (lit.kind !== 'ident' || (lit.name !== 'true' && lit.name !== 'false')) throw fail('true or false');
+            return lit.name === 'true';
+        }
+        if (type === 'float' || type === 'float32' || type === 'float64') {
+            if (lit.kind !== 'number') throw fail('a number');
+            return Number(lit.text);
+        }
+        if (type === 'string') {
+            // bare words are accepted for backwards compatibility (`string role : guest;`)
+            if (lit.kind === 'string') return lit.value;
+            if (lit.kind === 'ident') return lit.name;
+            throw fail('a quoted string');
+        }
+        if (type === 'any') return this.plainLiteral(lit);
+        if (localEnums[type] || this.enums[type]) {
+            const e = localEnums[type] || this.enums[type];
+            if (lit.kind === 'ident') return lit.name;
+            if (lit.kind === 'number' && Number(lit.text) in e.valToName) return e.valToName[Number(lit.text)];
+            throw fail(`a member of enum ${type}`);
+        }
+        if (this.structs[type]) {
+            if (lit.kind !== 'object') throw fail(`a struct literal {...} for ${type}`);
+            const struct = this.structs[type];
+            const out = {};
+            for (const entry of lit.entries) {
+                const field = struct.fields.find(f => f.name === entry.key);
+                if (!field) throw this.schemaError(entry, `invalid default for ${owner}: struct ${type} has no field '${entry.key}'`);
+                out[entry.key] = this.literalToValue(field.type, entry.value, struct.localEnums, `${owner}.${entry.key}`);
+            }
+            return out;
+        }
+        if (this.unions[type]) {
+            const union = this.unions[type];
+            const plain = lit.kind === 'object' ? Object.fromEntries(lit.entries.map(en => [en.key, en])) : {};
+            const variantName = plain.type && plain.value ? this.plainLiteral(plain.type.value) : (lit.kind === 'object' && lit.entries.length === 1 ? lit.entries[0].key : null);
+            const variant = union.byName[variantName];
+            if (!variant) throw fail(`{ type: <variant>, value: ... } or { <variant>: ... } for union ${type}`);
+            const inner = plain.type && plain.value ? plain.value.value : lit.entries[0].value;
+            return this.unionOutput(variant, this.literalToValue(variant.type, inner, localEnums, `${owner}.${variant.name}`));
+        }
+        throw fail(`a value of type ${this.typeToString(type)}`);
+    }
 
-        // Parse remaining global enums (those not inside structs)
-        let enumRegex = /enum (\w+) \{([^}]*)\}/g;
-        let match;
-        while ((match = enumRegex.exec(schema))) {
-            const [, name, body] = match;
-            this.enums[name] = this.parseEnumBody(body);
+    // Untyped conversion of a literal (for `any` defaults)
+    plainLiteral(lit) {
+        if (lit.kind === 'number') return Number(lit.text);
+        if (lit.kind === 'string') return lit.value;
+        if (lit.kind === 'ident') {
+            const keywords = { true: true, false: false, null: null };
+            return lit.name in keywords ? keywords[lit.name] : lit.name;
         }
+        if (lit.kind === 'list') return lit.items.map(item => this.plainLiteral(item));
+        return Object.fromEntries(lit.entries.map(entry => [entry.key, this.plainLiteral(entry.value)]));
+    }
+
+    describeLiteral(lit) {
+        if (lit.kind === 'number') return lit.text;
+        if (lit.kind === 'string') return JSON.stringify(lit.value);
+        if (lit.kind === 'ident') return lit.name;
+        return lit.kind === 'list' ? 'a list' : 'an object';
+    }
+
+    // Copy of a field's default for filling decoded objects (so callers can't mutate the schema)
+    defaultValue(field) {
+        return typeof structuredClone === 'function' ? structuredClone(field.default) : field.default;
     }
 
-    parseEnumBody(body) {
+    buildEnum(decl) {
         const nameToVal = {};
         const valToName = {};
         let counter = 0;
+        for (const member of decl.members) {
+            if (member.name in nameToVal) throw this.schemaError(member, `duplicate member '${member.name}' in enum ${decl.name}`);
+            const val = member.value !== null ? member.value : counter;
+            counter = val + 1;
+            nameToVal[member.name] = val;
+            valToName[val] = member.name;
+        }
+        return { nameToVal, valToName };
+    }
+
+    buildStruct(decl, declared) {
+        const fields = [];
+        const localEnums = {};
+        let optionalCount = 0;
+        let tagCounter = 1;
+        const seenTags = {};
+        const seenFields = {};
+
+        for (const enumDecl of decl.enums) {
+            if (localEnums[enumDecl.name]) throw this.schemaError(enumDecl, `duplicate enum '${enumDecl.name}' in struct ${decl.name}`);
+            localEnums[enumDecl.name] = this.buildEnum(enumDecl);
+        }
+
+        for (const node of decl.fields) {
+            const owner = `${decl.name}.${node.name}`;
+            if (seenFields[node.name]) throw this.schemaError(node, `duplicate field '${node.name}' in struct ${decl.name}`);
+            seenFields[node.name] = true;
+            // field tag: `int32 hp = 3` or `int32 hp @3`; untagged fields continue from the previous tag
+            const tag = node.tag !== null ? node.tag : tagCounter;
+            tagCounter = tag + 1;
+            if (tag < 1) throw this.schemaError(node, `field tag must be positive in field ${owner}`);
+            if (seenTags[tag]) throw this.schemaError(node, `duplicate tag ${tag} in field ${owner} (already used by ${seenTags[tag]})`);
+            seenTags[tag] = node.name;
+            const type = this.buildType(node.type, { declared, localEnums, owner: `field ${owner}` });
+            // optional fields get a bit in the struct's presence bitmap
+            const field = { type, name: node.name, tag, default: node.default, localEnums, optional: node.optional };
+            if (node.optional) field.presenceBit = optionalCount++;
+            fields.push(field);
+        }
+
+        return { fields, localEnums, optionalCount };
+    }
+
+    // Union variants: discriminants count up from 0 like enum values and can be
+    // pinned with `Type name = N;`
+    buildUnion(decl, declared) {
+        const variants = [];
+        const byName = {};
+        const byId = {};
+        let counter = 0;
+        for (const node of decl.variants) {
+            const id = node.id !== null ? node.id : counter;
+            counter = id + 1;
+            if (byName[node.name]) throw this.schemaError(node, `duplicate variant '${node.name}' in union ${decl.name}`);
+            if (byId[id]) throw this.schemaError(node, `duplicate discriminant ${id} in union ${decl.name} (already used by ${byId[id].name})`);
+            const type = this.buildType(node.type, { declared, localEnums: {}, owner: `variant ${decl.name}.${node.name}` });
+            const variant = { name: node.name, id, type };
+            variants.push(variant);
+            byName[node.name] = variant;
+            byId[id] = variant;
+        }
+        return { variants, byName, byId };
+    }
 
-        body.split(";").forEach(part => {
-            part = part.trim();
-            if (!part) return;
-            const m = part.match(/(\w+)(?:\s*=\s*(\d+))?/);
-            if (m) {
-                const [, key, valStr] = m;
-                const val = valStr !== undefined ? parseInt(valStr, 10) : counter;
-                counter = val + 1;
-                nameToVal[key] = val;
-                valToName[val] = key;
+    // Resolve an AST type node to the model form: integer flavors become
+    // { prim:'int', name, range }, arrays { prim:'array', of, length }, blobs
+    // { prim:'bytes', length }, maps { prim:'map', key, value }; everything else
+    // stays a type-name string
+    buildType(node, ctx) {
+        if (node.kind === 'map') {
+            const key = this.buildType(node.key, ctx);
+            const value = this.buildType(node.value, ctx);
+            const keyIsEnum = typeof key === 'string' && (ctx.localEnums[key] || (ctx.declared[key] && ctx.declared[key].kind === 'enum'));
+            if (!(key === 'string' || keyIsEnum || (typeof key === 'object' && key.prim === 'int'))) {
+                throw this.schemaError(node.key, `map key must be string, int or enum, got '${this.typeToString(key)}' in ${ctx.owner}`);
             }
-        });
+            return { prim: 'map', key, value };
+        }
+        if (node.kind === 'array') {
+            // bytes[N] is a fixed-size blob, not an array of blobs
+            if (node.of.kind === 'named' && node.of.name === 'bytes' && !node.of.range && node.length !== null) return { prim: 'bytes', length: node.length };
+            return { prim: 'array', of: this.buildType(node.of, ctx), length: node.length };
+        }
+        const name = node.name;
+        if (MiniStruct.INT_TYPES[name]) {
+            if (!node.range) return { prim: 'int', name, range: null };
+            const [rangeA, rangeB] = node.range;
+            let rmin = Number(rangeA);
+            let rmax = Number(rangeB);
+            if (!Number.isInteger(rmin) || !Number.isInteger(rmax)) throw this.schemaError(node, `invalid integer range [${rangeA},${rangeB}] in ${ctx.owner}`);
+            if (MiniStruct.INT_TYPES[name].bits === 64) {
+                // keep 64-bit bounds exact: plain integer literals go straight to BigInt
+                rmin = /^-?\d+$/.test(rangeA) ? BigInt(rangeA) : BigInt(rmin);
+                rmax = /^-?\d+$/.test(rangeB) ? BigInt(rangeB) : BigInt(rmax);
+            }
+            // validate range against intrinsic bounds
+            try { this.constructor.validateRangeAgainstIntrinsic(name, rmin, rmax); } catch (e) { throw this.schemaError(node, `${e.message.replace(/^Schema error: /, '')} in ${ctx.owner}`); }
+            return { prim: 'int', name, range: [rmin, rmax] };
+        }
+        if (node.range) throw this.schemaError(node, `integer range on non-integer type '${name}' in ${ctx.owner}`);
+        if (name === 'bytes') return { prim: 'bytes', length: null };
+        if (MiniStruct.SCALAR_TYPES.includes(name) || ctx.localEnums[name] || ctx.declared[name]) return name;
+        throw this.schemaError(node, `unknown type '${name}' in ${ctx.owner}`);
+    }
 
-        return { nameToVal, valToName };
+    // Meta-schema: MiniStruct's own model written as a MiniStruct schema, so a parsed schema can
+    // travel as compact bytes (toBinarySchema) and be rebuilt on the other side (new MiniStruct(bytes))
+    static META_SCHEMA = `
+enum TypeKind { NAMED; INT; ARRAY; BYTES; MAP; }
+struct TypeRef {
+  TypeKind kind;
+  string name : "";        // NAMED: struct/union/enum/scalar name, INT: flavor
+  optional zigzag64 min;   // INT with a range (uint64 bounds as two's complement)
+  optional zigzag64 max;
+  optional uvarint length; // fixed-length ARRAY or BYTES
+  TypeRef[] args : [];     // ARRAY: [element], MAP: [key, value]
+}
+struct EnumMember { string name; sint value; }
+struct EnumDecl { string name; EnumMember[] members; }
+struct FieldDecl {
+  string name;
+  TypeRef type;
+  uvarint tag;
+  bool optional;
+  optional bytes default;  // the default in the field's own compact encoding
+}
+struct StructDecl { string name; EnumDecl[] enums; FieldDecl[] fields; }
+struct VariantDecl { string name; uvarint id; TypeRef type; }
+struct UnionDecl { string name; VariantDecl[] variants; }
+struct Schema { uint8 version; EnumDecl[] enums; StructDecl[] structs; UnionDecl[] unions; map<string,uvarint> typeIds; }
+`;
+    static BINARY_SCHEMA_VERSION = 1;
+    static META = null;
+
+    static metaSchema() {
+        if (!MiniStruct.META) MiniStruct.META = new MiniStruct(MiniStruct.META_SCHEMA, { sourceName: 'meta' });
+        return MiniStruct.META;
     }
 
-    parseStructBody(body, structName) {
-        const fields = [];
+    // The same model with compact-format options, for values encoded outside any message
+    compactView() {
+        const view = Object.create(Object.getPrototypeOf(this));
+        return Object.assign(view, this, { options: { ...this.options, format: 'compact', header: false }, compiled: null });
+    }
 
-        // Inline enums
-        let localEnums = {};
-        let enumRegex = /enum (\w+) \{([^}]*)\}/g;
-        let match;
-        while ((match = enumRegex.exec(body))) {
-            const [, name, ebody] = match;
-            localEnums[name] = this.parseEnumBody(ebody);
-        }
-
-        // Remove inline enum blocks (we already parsed them) to avoid their internal semicolons
-        const bodyClean = body.replace(/enum (\w+) \{[^}]*\}/g, "");
-
-        // Fields
-        bodyClean.split(";").forEach(part => {
-            part = part.trim();
-            if (!part) return;
-
-            let [decl, defVal] = part.split(":").map(s => s.trim());
-            if (!decl) return;
-            const tokens = decl.split(/\s+/).filter(Boolean);
-            if (tokens.length < 2) return;
-            const rawType = tokens[0];
-            // parse integer flavors and optional ranges like uint8[0,255]
-            let type;
-            const intMatch = rawType.match(/^(int|uint8|int8|uint16|int16|uint32|int32|uint8|int)\s*(?:\[\s*([^,\]]+)\s*,\s*([^\]]+)\s*\])?$/);
-            if (intMatch) {
-                const name = intMatch[1];
-                const rangeA = intMatch[2];
-                const rangeB = intMatch[3];
-                if (rangeA !== undefined && rangeB !== undefined) {
-                    const rmin = Number(rangeA);
-                    const rmax = Number(rangeB);
-                    if (!Number.isInteger(rmin) || !Number.isInteger(rmax)) throw new Error(`Schema parse error: invalid integer range for ${rawType}`);
-                    // validate range against intrinsic bounds
-                    try { this.constructor.validateRangeAgainstIntrinsic(name, rmin, rmax); } catch (e) { throw new Error(e.message + ` (field ${structName}.${tokens[1]})`); }
-                    type = { prim: 'int', name, range: [rmin, rmax] };
-                } else {
-                    type = { prim: 'int', name, range: null };
-                }
-            } else {
-                type = rawType;
+    // The parsed model (structs, unions, enums, frame type ids) as bytes; options such as
+    // format are not included and are given again when the schema is rebuilt
+    toBinarySchema() {
+        const compact = this.compactView();
+        const typeRef = type => {
+            if (typeof type === 'string') return { kind: 'NAMED', name: type };
+            if (type.prim === 'int') {
+                const ref = { kind: 'INT', name: type.name };
+                if (type.range) [ref.min, ref.max] = type.range.map(v => BigInt.asIntN(64, BigInt(v)));
+                return ref;
+            }
+            if (type.prim === 'bytes') return { kind: 'BYTES', length: type.length ?? undefined };
+            if (type.prim === 'array') return { kind: 'ARRAY', length: type.length ?? undefined, args: [typeRef(type.of)] };
+            return { kind: 'MAP', args: [typeRef(type.key), typeRef(type.value)] };
+        };
+        const enumDecl = (name, e) => ({ name, members: Object.entries(e.nameToVal).map(([member, value]) => ({ name: member, value })) });
+        const fieldDecl = (structName, struct, field) => {
+            const decl = { name: field.name, type: typeRef(field.type), tag: field.tag, optional: field.optional };
+            if (field.default !== undefined) {
+                const bytes = [];
+                compact.encodeValue(field.type, field.default, bytes, `${structName}.${field.name}`, struct.localEnums);
+                decl.default = Uint8Array.from(bytes);
+            }
+            return decl;
+        };
+        return MiniStruct.metaSchema().encode('Schema', {
+            version: MiniStruct.BINARY_SCHEMA_VERSION,
+            enums: Object.entries(this.enums).map(([name, e]) => enumDecl(name, e)),
+            structs: Object.entries(this.structs).map(([name, struct]) => ({
+                name,
+                enums: Object.entries(struct.localEnums).map(([enumName, e]) => enumDecl(enumName, e)),
+                fields: struct.fields.map(field => fieldDecl(name, struct, field))
+            })),
+            unions: Object.entries(this.unions).map(([name, union]) => ({
+                name,
+                variants: union.variants.map(v => ({ name: v.name, id: v.id, type: typeRef(v.type) }))
+            })),
+            typeIds: this.typeIds
+        });
+    }
+
+    // Rebuild the model from toBinarySchema() bytes. The bytes may come from another peer,
+    // so every name and reference is checked as the text parser would
+    loadBinarySchema(bytes) {
+        const fail = message => new StructError('SCHEMA', `Invalid binary schema: ${message}`);
+        let d;
+        try {
+            d = MiniStruct.metaSchema().decode('Schema', bytes);
+        } catch (e) {
+            throw new StructError('SCHEMA', `Invalid binary schema: ${e.message}`, { byteOffset: e.byteOffset ?? null });
+        }
+        if (d.version !== MiniStruct.BINARY_SCHEMA_VERSION) throw fail(`unsupported version ${d.version}`);
+        this.imports = [];
+        this.ast = null;
+
+        const declared = {};
+        for (const decl of [...d.enums, ...d.structs, ...d.unions]) {
+            if (MiniStruct.INT_TYPES[decl.name] || MiniStruct.SCALAR_TYPES.includes(decl.name) || decl.name === 'map') throw fail(`'${decl.name}' is a built-in type and can't be redefined`);
+            if (declared[decl.name]) throw fail(`duplicate name '${decl.name}'`);
+            declared[decl.name] = decl;
+        }
+        const buildEnum = decl => {
+            const e = { nameToVal: {}, valToName: {} };
+            for (const member of decl.members) {
+                if (member.name in e.nameToVal) throw fail(`duplicate member '${member.name}' in enum ${decl.name}`);
+                e.nameToVal[member.name] = member.value;
+                e.valToName[member.value] = member.name;
+            }
+            return e;
+        };
+        const toType = (ref, localEnums, owner) => {
+            if (ref.kind === 'NAMED') {
+                if ((MiniStruct.SCALAR_TYPES.includes(ref.name) && ref.name !== 'bytes') || localEnums[ref.name] || declared[ref.name]) return ref.name;
+                throw fail(`unknown type '${ref.name}' in ${owner}`);
+            }
+            if (ref.kind === 'INT') {
+                const info = MiniStruct.INT_TYPES[ref.name];
+                if (!info) throw fail(`unknown integer type '${ref.name}' in ${owner}`);
+                if (ref.min === undefined || ref.max === undefined) return { prim: 'int', name: ref.name, range: null };
+                let range = [ref.min, ref.max].map(v => info.signed ? BigInt(v) : BigInt.asUintN(64, BigInt(v)));
+                if (info.bits !== 64) range = range.map(Number);
+                try { MiniStruct.validateRangeAgainstIntrinsic(ref.name, range[0], range[1]); } catch (e) { throw fail(`${e.message.replace(/^Schema error: /, '')} in ${owner}`); }
+                return { prim: 'int', name: ref.name, range };
             }
-            const name = tokens[1];
-            fields.push({ type, name, default: defVal, localEnums });
+            if (ref.kind === 'BYTES') return { prim: 'bytes', length: ref.length ?? null };
+            if (ref.kind === 'ARRAY' && ref.args.length === 1) return { prim: 'array', of: toType(ref.args[0], localEnums, owner), length: ref.length ?? null };
+            if (ref.kind === 'MAP' && ref.args.length === 2) {
+                const key = toType(ref.args[0], localEnums, owner);
+                const keyIsEnum = typeof key === 'string' && (localEnums[key] || this.enums[key]);
+                if (!(key === 'string' || keyIsEnum || (typeof key === 'object' && key.prim === 'int'))) throw fail(`map key must be string, int or enum, got '${this.typeToString(key)}' in ${owner}`);
+                return { prim: 'map', key, value: toType(ref.args[1], localEnums, owner) };
+            }
+            throw fail(`malformed ${ref.kind} type in ${owner}`);
+        };
+
+        for (const decl of d.enums) this.enums[decl.name] = buildEnum(decl);
+        for (const decl of d.structs) {
+            const localEnums = {};
+            for (const e of decl.enums) localEnums[e.name] = buildEnum(e);
+            let optionalCount = 0;
+            const fields = decl.fields.map(f => {
+                const field = { type: toType(f.type, localEnums, `field ${decl.name}.${f.name}`), name: f.name, tag: f.tag, default: undefined, localEnums, optional: f.optional };
+                if (f.optional) field.presenceBit = optionalCount++;
+                return field;
+            });
+            this.structs[decl.name] = { fields, localEnums, optionalCount };
+        }
+        for (const decl of d.unions) {
+            const union = { variants: [], byName: {}, byId: {} };
+            for (const v of decl.variants) {
+                const variant = { name: v.name, id: v.id, type: toType(v.type, {}, `variant ${decl.name}.${v.name}`) };
+                union.variants.push(variant);
+                union.byName[v.name] = variant;
+                union.byId[v.id] = variant;
+            }
+            this.unions[decl.name] = union;
+        }
+        for (const [name, id] of Object.entries(d.typeIds)) {
+            if (!this.structs[name] && !this.unions[name]) throw fail(`type id for unknown type '${name}'`);
+            this.typeIds[name] = id;
+            this.typesById[id] = name;
+        }
+        // defaults decode with the finished model (they may hold structs, unions or enums)
+        const compact = this.compactView();
+        d.structs.forEach(decl => {
+            const struct = this.structs[decl.name];
+            decl.fields.forEach((f, i) => {
+                if (f.default === undefined) return;
+                const [value, end] = compact.decodeValue(struct.fields[i].type, f.default, 0, struct.localEnums, `${decl.name}.${f.name}`);
+                if (end !== f.default.length) throw fail(`default for ${decl.name}.${f.name} has ${f.default.length - end} extra byte(s)`);
+                struct.fields[i].default = value;
+            });
+        });
+    }
+
+    // Pick the variant for a union value given as { type, value } or { [variant]: value };
+    // returns [variant, innerValue] or null
+    resolveUnionValue(union, value) {
+        if (typeof value !== 'object' || value === null) return null;
+        if (typeof value.type === 'string' && 'value' in value && union.byName[value.type]) return [union.byName[value.type], value.value];
+        const keys = Object.keys(value);
+        if (keys.length === 1 && union.byName[keys[0]]) return [union.byName[keys[0]], value[keys[0]]];
+        return null;
+    }
+
+    // Decoded form of a union value, per options.unionShape
+    unionOutput(variant, value) {
+        return this.options.unionShape === 'keyed' ? { [variant.name]: value } : { type: variant.name, value };
+    }
+
+    // Normalize a bytes field value to a Uint8Array (null if it isn't bytes-like)
+    toBytes(value) {
+        if (value instanceof Uint8Array) return value;
+        if (value instanceof ArrayBuffer) return new Uint8Array(value);
+        if (ArrayBuffer.isView(value)) return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+        if (Array.isArray(value)) {
+            if (!value.every(b => Number.isInteger(b) && b >= 0 && b <= 255)) throw new StructError('INVALID_BYTES', 'byte arrays may only hold integers 0..255', { actual: value });
+            return Uint8Array.from(value);
+        }
+        if (typeof value === 'string' && this.options.bytesAsText) return this.constructor.bytesFromText(value);
+        return null;
+    }
+
+    // bytes fields decode to Uint8Array, or base64 text when created with { bytesAsText: true }
+    bytesOutput(u8) {
+        return this.options.bytesAsText ? this.constructor.bytesToText(u8) : u8;
+    }
+
+    // Text forms of bytes for string-only hosts: '0x'-prefixed hex or base64 in, base64 out
+    static bytesFromText(text) {
+        if (/^0x/i.test(text)) {
+            const hex = text.slice(2);
+            if (hex.length % 2 !== 0 || /[^0-9a-f]/i.test(hex)) throw new StructError('INVALID_BYTES', `invalid hex bytes ${JSON.stringify(text)}`, { expected: 'hex', actual: text });
+            const out = new Uint8Array(hex.length / 2);
+            for (let i = 0; i < out.length; i++) out[i] = parseInt(hex.substr(i * 2, 2), 16);
+            return out;
+        }
+        if (!/^[A-Za-z0-9+/]*={0,2}$/.test(text)) throw new StructError('INVALID_BYTES', `invalid base64 bytes ${JSON.stringify(text)}`, { expected: 'base64', actual: text });
+        if (typeof atob !== 'function') return Uint8Array.from(Buffer.from(text, 'base64'));
+        const s = atob(text);
+        const out = new Uint8Array(s.length);
+        for (let i = 0; i < s.length; i++) out[i] = s.charCodeAt(i);
+        return out;
+    }
+
+    static bytesToText(u8) {
+        if (typeof btoa !== 'function') return Buffer.from(u8).toString('base64');
+        let s = "";
+        for (let i = 0; i < u8.length; i++) s += String.fromCharCode(u8[i]);
+        return btoa(s);
+    }
+
+    // Types whose compact encoding isn't self-delimiting get a length wrapper in the tagged format
+    needsLengthWrapper(type) {
+        if (typeof type === 'string') return !!this.unions[type];
+        return type.prim === 'array' || type.prim === 'map' || (type.prim === 'bytes' && type.length !== null);
+    }
+
+    // [key, value] pairs of a map field value (a Map or a plain object). Plain
+    // object keys are always strings, so int keys are converted back
+    mapEntries(type, value) {
+        if (value instanceof Map) return [...value.entries()];
+        const intKey = typeof type.key === 'object' && type.key.prim === 'int';
+        return Object.entries(value).map(([k, v]) => {
+            // non-numeric keys stay strings so validation reports them as written
+            if (!intKey || !/^-?\d+$/.test(k)) return [k, v];
+            return [MiniStruct.INT_TYPES[type.key.name].bits === 64 ? BigInt(k) : Number(k), v];
         });
+    }
+
+    // Map keys are data: a '__proto__' key becomes an own entry instead of replacing the
+    // decoded object's prototype
+    static setEntry(obj, key, value) {
+        if (key === '__proto__') Object.defineProperty(obj, key, { value, writable: true, enumerable: true, configurable: true });
+        else obj[key] = value;
+    }
 
-        return { fields, localEnums };
+    // Path segment for a map entry: Save.scores["bob"], Save.byId[7]
+    mapKeyPath(path, key) {
+        return `${path}[${typeof key === 'string' ? JSON.stringify(key) : String(key)}]`;
+    }
+
+    // Human-readable form of a parsed type, used in error messages
+    typeToString(type) {
+        if (typeof type === 'string') return type;
+        if (type.prim === 'array') return `${this.typeToString(type.of)}[${type.length ?? ''}]`;
+        if (type.prim === 'bytes') return type.length === null ? 'bytes' : `bytes[${type.length}]`;
+        if (type.prim === 'map') return `map<${this.typeToString(type.key)},${this.typeToString(type.value)}>`;
+        if (type.prim === 'int') return type.range ? `${type.name}[${type.range[0]},${type.range[1]}]` : type.name;
+        return String(type);
     }
 
     // Descriptive validation used during encode to produce path-aware errors
+    missingField(path, field) {
+        return new StructError('MISSING_FIELD', `Missing required field at "${path}.${field.name}"`, { path: `${path}.${field.name}`, expected: this.typeToString(field.type) });
+    }
+
+    // "Type violation" errors carry the path, what the schema expected and the offending value
+    violation(code, path, message, expected, actual) {
+        return new StructError(code, `Type violation at "${path}": ${message}`, { path, expected, actual });
+    }
+
     validateValueForField(fieldType, value, path, localEnums) {
+        // maps: a Map or plain object; every key and value is checked with a key-aware path
+        if (typeof fieldType === 'object' && fieldType.prim === 'map') {
+            if (typeof value !== 'object' || value === null || Array.isArray(value) || ArrayBuffer.isView(value)) throw this.violation('TYPE_MISMATCH', path, `Expected ${this.typeToString(fieldType)} (object or Map), got ${typeof value} (${this.constructor.stringifyValue(value)})`, this.typeToString(fieldType), value);
+            const k = fieldType.key;
+            if (typeof k === 'string' && k !== 'string' && !(localEnums && localEnums[k]) && !this.enums[k]) throw this.violation('TYPE_MISMATCH', path, `map key type ${k} must be string, int or enum`, 'string, int or enum', k);
+            for (const [key, v] of this.mapEntries(fieldType, value)) {
+                this.validateValueForField(fieldType.key, key, this.mapKeyPath(path, key), localEnums);
+                this.validateValueForField(fieldType.value, v, this.mapKeyPath(path, key), localEnums);
+            }
+            return true;
+        }
+
+        // raw binary: Uint8Array / ArrayBuffer / typed views / byte arrays (or text when bytesAsText)
+        if (typeof fieldType === 'object' && fieldType.prim === 'bytes') {
+            let bytes;
+            try { bytes = this.toBytes(value); } catch (e) { throw this.violation('INVALID_BYTES', path, e.message, this.typeToString(fieldType), value); }
+            if (!bytes) throw this.violation('TYPE_MISMATCH', path, `Expected bytes, got ${typeof value} (${this.constructor.stringifyValue(value)})`, this.typeToString(fieldType), value);
+            if (fieldType.length !== null && bytes.length !== fieldType.length) throw this.violation('LENGTH_MISMATCH', path, `Expected exactly ${fieldType.length} bytes, got ${bytes.length}`, fieldType.length, bytes.length);
+            return true;
+        }
+
+        // arrays: validate length, then every element with an index-aware path
+        if (typeof fieldType === 'object' && fieldType.prim === 'array') {
+            if (!Array.isArray(value)) throw this.violation('TYPE_MISMATCH', path, `Expected array ${this.typeToString(fieldType)}, got ${typeof value} (${this.constructor.stringifyValue(value)})`, this.typeToString(fieldType), value);
+            if (fieldType.length !== null && value.length !== fieldType.length) throw this.violation('LENGTH_MISMATCH', path, `Expected exactly ${fieldType.length} elements, got ${value.length}`, fieldType.length, value.length);
+            value.forEach((v, i) => this.validateValueForField(fieldType.of, v, `${path}[${i}]`, localEnums));
+            return true;
+        }
+
         // integer object form
         if (typeof fieldType === 'object' && fieldType.prim === 'int') {
-            if (!Number.isInteger(value)) throw new Error(`Type violation at "${path}": Expected integer (${fieldType.name}), got ${typeof value} (${JSON.stringify(value)})`);
+            const info = MiniStruct.INT_TYPES[fieldType.name];
+            if (info && info.bits === 64) {
+                if (typeof value !== 'bigint' && !Number.isSafeInteger(value)) throw this.violation('TYPE_MISMATCH', path, `Expected BigInt or safe integer (${fieldType.name}), got ${typeof value} (${this.constructor.stringifyValue(value)})`, this.typeToString(fieldType), value);
+            } else if (!Number.isInteger(value)) throw this.violation('TYPE_MISMATCH', path, `Expected integer (${fieldType.name}), got ${typeof value} (${this.constructor.stringifyValue(value)})`, this.typeToString(fieldType), value);
             if (fieldType.range) {
                 const [rmin, rmax] = fieldType.range;
-                if (value < rmin || value > rmax) throw new Error(`Type violation at "${path}": integer ${value} outside declared range [${rmin},${rmax}]`);
+                if (value < rmin || value > rmax) throw this.violation('OUT_OF_RANGE', path, `integer ${value} outside declared range [${rmin},${rmax}]`, `[${rmin},${rmax}]`, value);
             } else {
                 const bounds = this.constructor.intrinsicBoundsForInt(fieldType.name);
                 if (bounds) {
                     const [iMin, iMax] = bounds;
-                    if (value < iMin || value > iMax) throw new Error(`Type violation at "${path}": integer ${value} outside intrinsic bounds of ${fieldType.name} (${iMin}..${iMax})`);
+                    if (value < iMin || value > iMax) throw this.violation('OUT_OF_RANGE', path, `integer ${value} outside intrinsic bounds of ${fieldType.name} (${iMin}..${iMax})`, `[${iMin},${iMax}]`, value);
                 }
             }
             return true;
@@ -187,19 +756,19 @@ class MiniStruct {
         // string-like tokens
         if (typeof fieldType === 'string') {
             if (fieldType === 'int') {
-                if (!Number.isInteger(value)) throw new Error(`Type violation at "${path}": Expected integer, got ${typeof value} (${JSON.stringify(value)})`);
+                if (!Number.isInteger(value)) throw this.violation('TYPE_MISMATCH', path, `Expected integer, got ${typeof value} (${this.constructor.stringifyValue(value)})`, this.typeToString(fieldType), value);
                 return true;
             }
             if (fieldType === 'float' || fieldType === 'float32' || fieldType === 'float64') {
-                if (typeof value !== 'number') throw new Error(`Type violation at "${path}": Expected float, got ${typeof value} (${JSON.stringify(value)})`);
+                if (typeof value !== 'number') throw this.violation('TYPE_MISMATCH', path, `Expected float, got ${typeof value} (${this.constructor.stringifyValue(value)})`, this.typeToString(fieldType), value);
                 return true;
             }
             if (fieldType === 'bool') {
-                if (typeof value !== 'boolean') throw new Error(`Type violation at "${path}": Expected bool, got ${typeof value} (${JSON.stringify(value)})`);
+                if (typeof value !== 'boolean') throw this.violation('TYPE_MISMATCH', path, `Expected bool, got ${typeof value} (${this.constructor.stringifyValue(value)})`, this.typeToString(fieldType), value);
                 return true;
             }
             if (fieldType === 'string') {
-                if (typeof value !== 'string') throw new Error(`Type violation at "${path}": Expected string, got ${typeof value} (${JSON.stringify(value)})`);
+                if (typeof value !== 'string') throw this.violation('TYPE_MISMATCH', path, `Expected string, got ${typeof value} (${this.constructor.stringifyValue(value)})`, this.typeToString(fieldType), value);
                 return true;
             }
             if (fieldType === 'any') return true;
@@ -208,11 +777,11 @@ class MiniStruct {
             if (localEnums && localEnums[fieldType]) {
                 const e = localEnums[fieldType];
                 if (typeof value === 'string') {
-                    if (!(value in e.nameToVal)) throw new Error(`Type violation at "${path}": Expected enum ${fieldType} one of [${Object.keys(e.nameToVal).join(', ')}], got ${JSON.stringify(value)}`);
+                    if (!(value in e.nameToVal)) throw this.violation('INVALID_ENUM', path, `Expected enum ${fieldType} one of [${Object.keys(e.nameToVal).join(', ')}], got ${this.constructor.stringifyValue(value)}`, fieldType, value);
                 } else if (typeof value === 'number') {
-                    if (!(value in e.valToName)) throw new Error(`Type violation at "${path}": Expected enum ${fieldType} numeric value one of [${Object.keys(e.valToName).join(', ')}], got ${value}`);
+                    if (!(value in e.valToName)) throw this.violation('INVALID_ENUM', path, `Expected enum ${fieldType} numeric value one of [${Object.keys(e.valToName).join(', ')}], got ${value}`, fieldType, value);
                 } else {
-                    throw new Error(`Type violation at "${path}": Expected enum ${fieldType}, got ${typeof value} (${JSON.stringify(value)})`);
+                    throw this.violation('INVALID_ENUM', path, `Expected enum ${fieldType}, got ${typeof value} (${this.constructor.stringifyValue(value)})`, this.typeToString(fieldType), value);
                 }
                 return true;
             }
@@ -220,22 +789,30 @@ class MiniStruct {
             if (this.enums[fieldType]) {
                 const e = this.enums[fieldType];
                 if (typeof value === 'string') {
-                    if (!(value in e.nameToVal)) throw new Error(`Type violation at "${path}": Expected enum ${fieldType} one of [${Object.keys(e.nameToVal).join(', ')}], got ${JSON.stringify(value)}`);
+                    if (!(value in e.nameToVal)) throw this.violation('INVALID_ENUM', path, `Expected enum ${fieldType} one of [${Object.keys(e.nameToVal).join(', ')}], got ${this.constructor.stringifyValue(value)}`, fieldType, value);
                 } else if (typeof value === 'number') {
-                    if (!(value in e.valToName)) throw new Error(`Type violation at "${path}": Expected enum ${fieldType} numeric value one of [${Object.keys(e.valToName).join(', ')}], got ${value}`);
+                    if (!(value in e.valToName)) throw this.violation('INVALID_ENUM', path, `Expected enum ${fieldType} numeric value one of [${Object.keys(e.valToName).join(', ')}], got ${value}`, fieldType, value);
                 } else {
-                    throw new Error(`Type violation at "${path}": Expected enum ${fieldType}, got ${typeof value} (${JSON.stringify(value)})`);
+                    throw this.violation('INVALID_ENUM', path, `Expected enum ${fieldType}, got ${typeof value} (${this.constructor.stringifyValue(value)})`, this.typeToString(fieldType), value);
                 }
                 return true;
             }
 
             // struct fallback
             if (this.structs[fieldType]) {
-                if (typeof value !== 'object' || value === null || Array.isArray(value)) throw new Error(`Type violation at "${path}": Expected struct ${fieldType}, got ${typeof value} (${JSON.stringify(value)})`);
+                if (typeof value !== 'object' || value === null || Array.isArray(value)) throw this.violation('TYPE_MISMATCH', path, `Expected struct ${fieldType}, got ${typeof value} (${this.constructor.stringifyValue(value)})`, this.typeToString(fieldType), value);
                 return true;
             }
 
-            throw new Error(`Unknown type: ${fieldType} at ${path}`);
+            if (this.unions[fieldType]) {
+                const union = this.unions[fieldType];
+                const resolved = this.resolveUnionValue(union, value);
+                if (!resolved) throw this.violation('UNKNOWN_VARIANT', path, `Expected union ${fieldType} as { type, value } or { variant: value } with variant one of [${Object.keys(union.byName).join(', ')}], got ${this.constructor.stringifyValue(value)}`, fieldType, value);
+                const [variant, inner] = resolved;
+                return this.validateValueForField(variant.type, inner, `${path}.${variant.name}`, localEnums);
+            }
+
+            throw new StructError('UNKNOWN_TYPE', `Unknown type: ${fieldType} at ${path}`, { path, expected: null, actual: fieldType });
         }
 
         // fallback allow
@@ -267,7 +844,7 @@ class MiniStruct {
 
             if (this.structs[type]) return val !== null && typeof val === 'object';
 
-            throw new Error("Unknown type: " + type);
+            throw new StructError('UNKNOWN_TYPE', "Unknown type: " + type, { actual: type });
         }
 
         // object-shaped type (e.g., { prim: 'int', name, range })
@@ -289,6 +866,8 @@ class MiniStruct {
     }
 
     encodeVarint(num) {
+        // negatives and anything past 32 bits can't go through >>>, use the BigInt path
+        if (num < 0 || num > 0xffffffff) return this.encodeVarint64(num);
         const bytes = [];
         while (num > 127) {
             bytes.push((num & 0x7f) | 0x80);
@@ -312,6 +891,9 @@ class MiniStruct {
         } else if (bits === 32) {
             if (signed) dv.setInt32(0, value, true);
             else dv.setUint32(0, value, true);
+        } else if (bits === 64) {
+            if (signed) dv.setBigInt64(0, BigInt(value), true);
+            else dv.setBigUint64(0, BigInt(value), true);
         } else {
             throw new Error('Unsupported integer width: ' + bits);
         }
@@ -320,11 +902,13 @@ class MiniStruct {
 
     readFixedInt(buf, pos, bits, signed) {
         const byteLen = bits / 8;
+        this.need(buf, pos, byteLen);
         const dv = new DataView(buf.buffer, buf.byteOffset + pos, byteLen);
         let v;
         if (bits === 8) v = signed ? dv.getInt8(0) : dv.getUint8(0);
         else if (bits === 16) v = signed ? dv.getInt16(0, true) : dv.getUint16(0, true);
         else if (bits === 32) v = signed ? dv.getInt32(0, true) : dv.getUint32(0, true);
+        else if (bits === 64) v = signed ? dv.getBigInt64(0, true) : dv.getBigUint64(0, true);
         else throw new Error('Unsupported integer width: ' + bits);
         return [v, pos + byteLen];
     }
@@ -342,178 +926,3683 @@ class MiniStruct {
     }
 
     readFloat32(buf, pos) {
+        this.need(buf, pos, 4);
         const dv = new DataView(buf.buffer, buf.byteOffset + pos, 4);
         return [dv.getFloat32(0, true), pos + 4];
     }
 
     readFloat64(buf, pos) {
+        this.need(buf, pos, 8);
         const dv = new DataView(buf.buffer, buf.byteOffset + pos, 8);
         return [dv.getFloat64(0, true), pos + 8];
     }
 
-    decodeVarint(buf, offset) {
+    decodeVarint(buf, offset, signed = false) {
         let num = 0, shift = 0, pos = offset;
         while (true) {
+            if (this.options.strict) this.checkVarintByte(buf, pos, offset);
             let b = buf[pos++];
-            num |= (b & 0x7f) << shift;
+            num += (b & 0x7f) * (2 ** shift);
             if ((b & 0x80) === 0) break;
             shift += 7;
         }
+        // past 2^53 (e.g. a negative written as 64-bit two's complement) re-read exactly
+        if (num > Number.MAX_SAFE_INTEGER) return [Number(this.decodeVarint64(buf, offset, signed)[0]), pos];
         return [num, pos];
     }
 
-    encode(typeName, obj) {
+    zigzagEncode(value) {
+        return ((value << 1) ^ (value >> 31)) >>> 0;
+    }
+
+    zigzagDecode(value) {
+        return (value >>> 1) ^ -(value & 1);
+    }
+
+    // 64-bit varint (LEB128) over BigInt; negative values are written as their
+    // 64-bit two's complement (always 10 bytes)
+    encodeVarint64(value) {
+        let num = BigInt.asUintN(64, BigInt(value));
+        const bytes = [];
+        while (num > 127n) {
+            bytes.push(Number(num & 0x7fn) | 0x80);
+            num >>= 7n;
+        }
+        bytes.push(Number(num));
+        return Uint8Array.from(bytes);
+    }
+
+    // strict decoding: a varint must end inside the buffer and within 10 bytes
+    checkVarintByte(buf, pos, start) {
+        if (pos >= buf.length) throw new DecodeError('TRUNCATED', 'Input truncated inside a varint', start);
+        if (pos - start >= 10) throw new DecodeError('VARINT_OVERLONG', 'Varint longer than 10 bytes', start);
+    }
+
+    decodeVarint64(buf, offset, signed) {
+        let num = 0n, shift = 0n, pos = offset;
+        while (true) {
+            if (this.options.strict) this.checkVarintByte(buf, pos, offset);
+            const b = buf[pos++];
+            num |= BigInt(b & 0x7f) << shift;
+            if ((b & 0x80) === 0) break;
+            shift += 7n;
+        }
+        num = BigInt.asUintN(64, num);
+        return [signed ? BigInt.asIntN(64, num) : num, pos];
+    }
+
+    zigzagEncode64(value) {
+        const n = BigInt.asIntN(64, BigInt(value));
+        return BigInt.asUintN(64, (n << 1n) ^ (n >> 63n));
+    }
+
+    zigzagDecode64(value) {
+        return (value >> 1n) ^ -(value & 1n);
+    }
+
+    // 64-bit values decode to BigInt unless the instance was created with { int64: 'number' };
+    // values a Number can't hold exactly stay BigInt even then
+    int64Output(value) {
+        if (this.options.int64 !== 'number') return value;
+        const num = Number(value);
+        return Number.isSafeInteger(num) ? num : value;
+    }
+
+    // Build a specialized compact-format encoder/decoder per struct and union with new Function.
+    // Where code generation is unavailable (CSP without 'unsafe-eval') or the format is not
+    // compact, encode/decode keep using the interpreter.
+    compile() {
+        this.compiled = null;
+        if (this.options.format !== 'compact') return null;
+        try {
+            this.compiled = new Function(`${new CodecGenerator(this).codecBody()}\nreturn { encoders, encodersInto, decoders, decodersAt };`)();
+        } catch (e) {
+            this.compiled = null;
+        }
+        return this.compiled;
+    }
+
+    // Time the interpreter against the compiled path on one value; returns ops/sec per path
+    benchmark(typeName, obj, iterations = 10000) {
+        const now = typeof performance !== 'undefined' ? () => performance.now() : () => Date.now();
+        const compiled = this.compiled || this.compile();
+        const saved = this.compiled;
+        const run = fn => {
+            for (let i = 0; i < Math.min(iterations, 100); i++) fn(); // warm up
+            const start = now();
+            for (let i = 0; i < iterations; i++) fn();
+            const ms = now() - start;
+            return Math.round(iterations / (ms / 1000));
+        };
+        const result = {};
+        try {
+            this.compiled = null;
+            const buf = this.encode(typeName, obj);
+            result.interpreted = { encode: run(() => this.encode(typeName, obj)), decode: run(() => this.decode(typeName, buf)) };
+            if (compiled) {
+                this.compiled = compiled;
+                result.compiled = { encode: run(() => this.encode(typeName, obj)), decode: run(() => this.decode(typeName, buf)) };
+            }
+        } finally {
+            this.compiled = saved;
+        }
+        return result;
+    }
+
+    encode(typeName, obj, path = typeName) {
+        const body = this.encodeBody(typeName, obj, path);
+        return this.options.header ? this.withHeader(typeName, body) : body;
+    }
+
+    // A message without the optional header; nested structs are encoded through here too
+    encodeBody(typeName, obj, path = typeName) {
+        if (this.compiled && path === typeName && this.compiled.encoders[typeName]) {
+            try {
+                return this.compiled.encoders[typeName](obj);
+            } catch (e) {
+                // rerun through the interpreter to raise the equivalent StructError
+                const compiled = this.compiled;
+                this.compiled = null;
+                try {
+                    this.encodeBody(typeName, obj, path);
+                } finally {
+                    this.compiled = compiled;
+                }
+                throw e;
+            }
+        }
+        if (this.unions[typeName]) {
+            this.validateValueForField(typeName, obj, path, {});
+            if (this.options.format === 'packed') {
+                const writer = new BitWriter();
+                this.encodeValuePacked(typeName, obj, writer, path, {});
+                return writer.finish();
+            }
+            if (this.options.format === 'protobuf') return this.encodeProtoUnion(typeName, obj, path);
+            const bytes = [];
+            this.encodeValue(typeName, obj, bytes, path, {});
+            return Uint8Array.from(bytes);
+        }
         const struct = this.structs[typeName];
-        if (!struct) throw new Error("Unknown struct: " + typeName);
+        if (!struct) throw new StructError('UNKNOWN_TYPE', "Unknown struct: " + typeName, { actual: typeName });
+        if (this.options.format === 'tagged') return this.encodeTagged(typeName, obj, path);
+        if (this.options.format === 'protobuf') return this.encodeProtobuf(typeName, obj, path);
+        if (this.options.format === 'packed') {
+            const writer = new BitWriter();
+            this.encodePacked(typeName, obj, writer, path);
+            return writer.finish();
+        }
 
+        // presence bitmap (one bit per optional field) precedes the field data
+        const presence = new Uint8Array(Math.ceil(struct.optionalCount / 8));
         const bytes = [];
         for (const field of struct.fields) {
             let val = obj[field.name] ?? field.default;
-            if (val === undefined) continue;
+            if (val === undefined) {
+                if (field.optional) continue;
+                throw this.missingField(path, field);
+            }
+            if (field.optional) presence[field.presenceBit >> 3] |= 1 << (field.presenceBit & 7);
             // produce descriptive, path-aware errors
-            this.validateValueForField(field.type, val, `${typeName}.${field.name}`, struct.localEnums);
-
-            // encode by type
-            // integer flavors: support type object { prim:'int', name, range }
-            if ((typeof field.type === 'object' && field.type.prim === 'int') || field.type === "int") {
-                // validate range if present
-                if (typeof field.type === 'object' && field.type.range) {
-                    const [rmin, rmax] = field.type.range;
-                    if (val < rmin || val > rmax) throw new Error(`Value for ${field.name} out of declared range ${rmin}..${rmax}`);
-                }
-                // determine integer width and signedness
-                let typeName = typeof field.type === 'object' ? field.type.name : 'int';
-                const info = MiniStruct.INT_TYPES[typeName] || MiniStruct.INT_TYPES['int'];
-                if (info) {
-                    bytes.push(...this.writeFixedInt(val, info.bits, info.signed));
-                } else {
-                    // fallback to varint for unknown sizes
-                    bytes.push(...this.encodeVarint(val));
-                }
-            } else if (field.type === "string") {
-                const enc = new TextEncoder().encode(val);
-                bytes.push(...this.encodeVarint(enc.length), ...enc);
-            } else if (field.type === "any") {
-                // encode any as JSON string (length-prefixed)
-                const s = JSON.stringify(val);
-                const enc = new TextEncoder().encode(s);
-                bytes.push(...this.encodeVarint(enc.length), ...enc);
-            } else if (field.type === "bool") {
-                bytes.push(val ? 1 : 0);
-            } else if (field.type === "float" || field.type === 'float64') {
-                bytes.push(...this.writeFloat64(val));
-            } else if (field.type === 'float32') {
-                bytes.push(...this.writeFloat32(val));
-            } else if (struct.localEnums[field.type] || this.enums[field.type]) {
-                const e = struct.localEnums[field.type] || this.enums[field.type];
-                const num = typeof val === "string" ? e.nameToVal[val] : val;
-                bytes.push(...this.encodeVarint(num));
-            } else if (this.structs[field.type]) {
-                const enc = this.encode(field.type, val);
-                bytes.push(...this.encodeVarint(enc.length), ...enc);
+            this.validateValueForField(field.type, val, `${path}.${field.name}`, struct.localEnums);
+            this.encodeValue(field.type, val, bytes, `${path}.${field.name}`, struct.localEnums);
+        }
+        return Uint8Array.from([...presence, ...bytes]);
+    }
+
+    // Tagged format: every present field is written as key + value, no presence bitmap
+    encodeTagged(typeName, obj, path) {
+        const struct = this.structs[typeName];
+        const bytes = [];
+        for (const field of struct.fields) {
+            let val = obj[field.name] ?? field.default;
+            if (val === undefined) {
+                if (field.optional) continue;
+                throw this.missingField(path, field);
+            }
+            this.validateValueForField(field.type, val, `${path}.${field.name}`, struct.localEnums);
+            const wireType = this.wireTypeFor(field.type);
+            bytes.push(...this.encodeVarint(field.tag * 8 + wireType));
+            if (this.needsLengthWrapper(field.type)) {
+                // arrays and fixed blobs carry no length of their own, so wrap them
+                const inner = [];
+                this.encodeValue(field.type, val, inner, `${path}.${field.name}`, struct.localEnums);
+                bytes.push(...this.encodeVarint(inner.length), ...inner);
+            } else {
+                this.encodeValue(field.type, val, bytes, `${path}.${field.name}`, struct.localEnums);
             }
         }
         return Uint8Array.from(bytes);
     }
 
-    decode(typeName, buf, offset = 0) {
-        const struct = this.structs[typeName];
-        if (!struct) throw new Error("Unknown struct: " + typeName);
-        const obj = {};
-        let pos = offset;
+    // Wire type used for a field of the given type in the tagged format
+    wireTypeFor(type) {
+        const W = MiniStruct.WIRE_TYPES;
+        if ((typeof type === 'object' && type.prim === 'int') || type === 'int') {
+            const info = MiniStruct.INT_TYPES[typeof type === 'object' ? type.name : 'int'];
+            if (info.encoding) return W.VARINT;
+            return { 8: W.FIXED8, 16: W.FIXED16, 32: W.FIXED32, 64: W.FIXED64 }[info.bits];
+        }
+        if (type === 'bool') return W.FIXED8;
+        if (type === 'float' || type === 'float64') return W.FIXED64;
+        if (type === 'float32') return W.FIXED32;
+        if (typeof type === 'string' && type !== 'string' && type !== 'any' && !this.structs[type] && !this.unions[type]) return W.VARINT; // enums
+        return W.LENGTH_DELIMITED;
+    }
 
-        for (const field of struct.fields) {
-            if (pos >= buf.length) break;
+    // Skip over a value of the given wire type; returns the new position
+    skipWireValue(buf, pos, wireType) {
+        const W = MiniStruct.WIRE_TYPES;
+        const sizes = { [W.FIXED64]: 8, [W.FIXED8]: 1, [W.FIXED16]: 2, [W.FIXED32]: 4 };
+        if (wireType === W.VARINT) return this.decodeVarint(buf, pos)[1];
+        if (wireType === W.LENGTH_DELIMITED) {
+            const [len, p2] = this.decodeVarint(buf, pos);
+            this.need(buf, p2, len);
+            return p2 + len;
+        }
+        if (sizes[wireType]) {
+            this.need(buf, pos, sizes[wireType]);
+            return pos + sizes[wireType];
+        }
+        throw new DecodeError('UNKNOWN_WIRE_TYPE', `Unknown wire type ${wireType}`, pos);
+    }
 
-            if ((typeof field.type === 'object' && field.type.prim === 'int') || field.type === "int") {
-                let typeName = (typeof field.type === 'object') ? field.type.name : 'int';
-                const info = MiniStruct.INT_TYPES[typeName] || MiniStruct.INT_TYPES['int'];
-                if (info) {
-                    [obj[field.name], pos] = this.readFixedInt(buf, pos, info.bits, info.signed);
-                } else {
-                    [obj[field.name], pos] = this.decodeVarint(buf, pos);
-                }
-            } else if (field.type === "string") {
-                let [len, p2] = this.decodeVarint(buf, pos);
-                pos = p2;
-                obj[field.name] = new TextDecoder().decode(buf.slice(pos, pos + len));
-                pos += len;
-            } else if (field.type === "any") {
-                let [len, p2] = this.decodeVarint(buf, pos);
-                pos = p2;
-                const s = new TextDecoder().decode(buf.slice(pos, pos + len));
-                pos += len;
-                try { obj[field.name] = JSON.parse(s); } catch { obj[field.name] = s; }
-            } else if (field.type === "bool") {
-                obj[field.name] = !!buf[pos++];
-            } else if (field.type === "float" || field.type === 'float64') {
-                [obj[field.name], pos] = this.readFloat64(buf, pos);
-            } else if (field.type === 'float32') {
-                [obj[field.name], pos] = this.readFloat32(buf, pos);
-            } else if (struct.localEnums[field.type] || this.enums[field.type]) {
-                let [num, p2] = this.decodeVarint(buf, pos);
-                pos = p2;
-                const e = struct.localEnums[field.type] || this.enums[field.type];
-                obj[field.name] = e.valToName[num] ?? num;
-            } else if (this.structs[field.type]) {
-                let [len, p2] = this.decodeVarint(buf, pos);
-                pos = p2;
-                obj[field.name] = this.decode(field.type, buf.slice(pos, pos + len));
-                pos += len;
+    // Append the encoding of a single (already validated) value to bytes
+    encodeValue(type, val, bytes, path, localEnums) {
+        if (typeof type === 'object' && type.prim === 'array') {
+            // fixed-count arrays carry no length prefix
+            if (type.length === null) bytes.push(...this.encodeVarint(val.length));
+            for (let i = 0; i < val.length; i++) this.encodeValue(type.of, val[i], bytes, `${path}[${i}]`, localEnums);
+            return;
+        }
+        if (typeof type === 'object' && type.prim === 'map') {
+            // entry count, then alternating keys and values
+            const entries = this.mapEntries(type, val);
+            bytes.push(...this.encodeVarint(entries.length));
+            for (const [k, v] of entries) {
+                this.encodeValue(type.key, k, bytes, this.mapKeyPath(path, k), localEnums);
+                this.encodeValue(type.value, v, bytes, this.mapKeyPath(path, k), localEnums);
             }
+            return;
         }
+        if (typeof type === 'object' && type.prim === 'bytes') {
+            const data = this.toBytes(val);
+            if (type.length === null) bytes.push(...this.encodeVarint(data.length));
+            bytes.push(...data);
+            return;
+        }
+        // integer flavors: support type object { prim:'int', name, range }
+        if ((typeof type === 'object' && type.prim === 'int') || type === "int") {
+            // validate range if present
+            if (typeof type === 'object' && type.range) {
+                const [rmin, rmax] = type.range;
+                if (val < rmin || val > rmax) throw new StructError('OUT_OF_RANGE', `Value for ${path} out of declared range ${rmin}..${rmax}`, { path, expected: `[${rmin},${rmax}]`, actual: val });
+            }
+            // determine integer width, signedness and encoding
+            let intName = typeof type === 'object' ? type.name : 'int';
+            const info = MiniStruct.INT_TYPES[intName] || MiniStruct.INT_TYPES['int'];
+            if (info.encoding === 'zigzag') {
+                bytes.push(...(info.bits === 64 ? this.encodeVarint64(this.zigzagEncode64(val)) : this.encodeVarint(this.zigzagEncode(val))));
+            } else if (info.encoding === 'varint') {
+                bytes.push(...(info.bits === 64 ? this.encodeVarint64(val) : this.encodeVarint(val)));
+            } else {
+                bytes.push(...this.writeFixedInt(val, info.bits, info.signed));
+            }
+        } else if (type === "string") {
+            const enc = MiniStruct.TEXT_ENCODER.encode(val);
+            bytes.push(...this.encodeVarint(enc.length), ...enc);
+        } else if (type === "any") {
+            // encode any as JSON string (length-prefixed)
+            const s = JSON.stringify(val);
+            const enc = MiniStruct.TEXT_ENCODER.encode(s);
+            bytes.push(...this.encodeVarint(enc.length), ...enc);
+        } else if (type === "bool") {
+            bytes.push(val ? 1 : 0);
+        } else if (type === "float" || type === 'float64') {
+            bytes.push(...this.writeFloat64(val));
+        } else if (type === 'float32') {
+            bytes.push(...this.writeFloat32(val));
+        } else if (localEnums[type] || this.enums[type]) {
+            const e = localEnums[type] || this.enums[type];
+            const num = typeof val === "string" ? e.nameToVal[val] : val;
+            bytes.push(...this.encodeVarint(num));
+        } else if (this.structs[type]) {
+            const enc = this.encodeBody(type, val, path);
+            bytes.push(...this.encodeVarint(enc.length), ...enc);
+        } else if (this.unions[type]) {
+            // varint discriminant, then the chosen variant's value
+            const [variant, inner] = this.resolveUnionValue(this.unions[type], val);
+            bytes.push(...this.encodeVarint(variant.id));
+            this.encodeValue(variant.type, inner, bytes, `${path}.${variant.name}`, localEnums);
+        }
+    }
 
-        return obj;
+    decode(typeName, buf, offset = 0) {
+        const [value, end] = this.decodeAt(typeName, buf, offset);
+        if (this.options.strict && end < buf.length) {
+            throw new DecodeError('TRAILING_BYTES', `${buf.length - end} unread byte(s) after the message`, end, typeName);
+        }
+        return value;
     }
-}
-// ------------------------
-// Example usage — expanded demo showcasing features
-// ------------------------
-let schema = `
-// Global enum
-enum Color {
-  RED = 1;
-  GREEN = 2;
-  BLUE = 3;
-}
 
-struct Address {
-  string street;
-  string city;
-  int zip;
-}
+    // Append the encoding of obj to a BufferWriter; returns the writer's end offset. Compiled
+    // codecs write straight into the writer's buffer, the interpreter encodes and then copies
+    encodeInto(typeName, obj, writer) {
+        if (!this.compiled || !this.compiled.encodersInto[typeName]) return writer.writeBytes(this.encode(typeName, obj));
+        const start = writer.pos;
+        if (this.options.header) writer.writeBytes(this.headerBytes(typeName));
+        try {
+            return this.compiled.encodersInto[typeName](writer, obj);
+        } catch (e) {
+            writer.pos = start;
+            // encode() reruns the interpreter to raise the equivalent StructError
+            this.encode(typeName, obj);
+            throw e;
+        }
+    }
 
-struct User {
-  // inline enum for role
-  enum Role { ADMIN = 1; USER = 2; GUEST = 3; }
+    // Decode the message at reader.pos and advance the reader past it, so messages
+    // concatenated with encodeInto can be read back one after another
+    decodeFrom(typeName, reader) {
+        const [value, end] = this.decodeAt(typeName, reader.buf, reader.pos);
+        reader.pos = end;
+        return value;
+    }
 
-  string name;
-  uint8 id;
-  float64 score;
-  bool active;
-  Address address;
-  Role role;
-  Color favoriteColor;
-  any metadata; // arbitrary JSON blob
-  string bio; // unicode-friendly text
-}
-`;
-const ms = new MiniStruct(schema);
+    // JSON Schema for a struct or union (root type, dependencies under $defs), or with no
+    // name { Name: document } for every struct; see JSONSchemaConverter
+    toJSONSchema(typeName = null) {
+        const converter = new JSONSchemaConverter(this);
+        if (typeName !== null) return converter.document(typeName);
+        return Object.fromEntries(Object.keys(this.structs).map(name => [name, converter.document(name)]));
+    }
 
-let demo = {
-    name: "Joséphine ✨", // unicode
-    id: 42,
-    score: 98.6,
-    active: true,
-    address: {
-        street: "123 Café Blvd",
-        city: "Zürich",
-        zip: 8001
-    },
-    role: "ADMIN", // using enum name
+    // Schema text from a JSON Schema document (object or JSON text); returns
+    // { schema, unmapped: [{ path, reason }] }. options.name names the root struct
+    static fromJSONSchema(doc, options = {}) {
+        if (typeof doc === 'string') {
+            try {
+                doc = JSON.parse(doc);
+            } catch (e) {
+                throw new StructError('INVALID_JSON', `Invalid JSON Schema: ${e.message}`, { expected: 'JSON', actual: doc });
+            }
+        }
+        return new JSONSchemaConverter().importDocument(doc, options.name);
+    }
+
+    // proto3 text for every enum, struct and union, matching the protobuf format's wire
+    // layout (see ProtoConverter); options.package adds a package statement
+    toProto(options = {}) {
+        return new ProtoConverter(this).toProto(options);
+    }
+
+    // Schema text from proto3 text; returns { schema, unmapped: [{ path, reason }] }. Load it
+    // with { format: 'protobuf' } to exchange messages with services using that .proto
+    static fromProto(text, options = {}) {
+        return new ProtoConverter().importProto(String(text), options.sourceName);
+    }
+
+    // Can messages written with oldSchema still be decoded with newSchema? Schemas are text (parsed
+    // with options) or MiniStruct instances; returns CompatibilityChecker's report
+    static checkCompatibility(oldSchema, newSchema, options = {}) {
+        const load = schema => schema instanceof MiniStruct ? schema : new MiniStruct(schema, options);
+        return new CompatibilityChecker(load(oldSchema), load(newSchema)).report();
+    }
+
+    // Field paths: 'address.city', 'tags[1]', 'scores["bob"]', 'shape.value' (segments follow the
+    // decoded value, so unions are stepped into through their own keys). A leading type name is allowed
+    static parsePath(path) {
+        const text = String(path);
+        const token = /(\.)?([A-Za-z_$][\w$]*)|\[(\d+)\]|\[("(?:[^"\\]|\\.)*")\]/y;
+        const segments = [];
+        for (let at = 0; at < text.length;) {
+            token.lastIndex = at;
+            const m = token.exec(text);
+            // names after the first need a '.'
+            if (!m || (m[2] !== undefined && at > 0 && !m[1]) || (m[1] && at === 0)) {
+                throw new StructError('INVALID_PATH', `Invalid field path ${JSON.stringify(text)} at character ${at + 1}`, { expected: 'name, [index] or ["key"]', actual: text });
+            }
+            segments.push(m[2] ?? (m[3] !== undefined ? Number(m[3]) : JSON.parse(m[4])));
+            at = token.lastIndex;
+        }
+        if (!segments.length) throw new StructError('INVALID_PATH', 'Empty field path', { expected: 'name, [index] or ["key"]', actual: text });
+        return segments;
+    }
+
+    // Follow a path through a decoded value of typeName. Returns where it ends:
+    // { type, localEnums, value, container, key, path } with container[key] === value
+    resolveField(typeName, root, path) {
+        let segments = MiniStruct.parsePath(path);
+        const rootStruct = this.structs[typeName];
+        if (segments[0] === typeName && !(rootStruct && rootStruct.fields.some(f => f.name === typeName))) segments = segments.slice(1);
+        let at = { type: typeName, localEnums: {}, value: root, container: null, key: null, path: typeName };
+        for (const seg of segments) {
+            const { type, value, path: where } = at;
+            const next = typeof seg === 'number' ? `${where}[${seg}]` : /^[A-Za-z_$][\w$]*$/.test(seg) ? `${where}.${seg}` : this.mapKeyPath(where, seg);
+            if (value === undefined || value === null) throw new StructError('MISSING_FIELD', `No value at "${where}" to look up ${JSON.stringify(seg)} in`, { path: where, actual: value });
+            if (typeof type === 'string' && this.structs[type]) {
+                const field = this.structs[type].fields.find(f => f.name === seg);
+                if (!field) throw new StructError('UNKNOWN_FIELD', `${type} has no field ${JSON.stringify(seg)}`, { path: where, expected: this.structs[type].fields.map(f => f.name), actual: seg });
+                at = { type: field.type, localEnums: field.localEnums, value: value[seg], container: value, key: seg, path: next };
+            } else if (typeof type === 'string' && this.unions[type]) {
+                const union = this.unions[type];
+                const [variant] = this.resolveUnionValue(union, value) || [];
+                let inner;
+                if (this.options.unionShape === 'keyed') inner = union.byName[seg] && seg === variant.name ? variant.type : null;
+                else inner = seg === 'type' ? 'string' : seg === 'value' ? variant.type : null;
+                if (!inner) throw new StructError('UNKNOWN_FIELD', `${type} holds ${variant.name}; no ${JSON.stringify(seg)} to look up`, { path: where, actual: seg });
+                at = { type: inner, localEnums: at.localEnums, value: value[seg], container: value, key: seg, path: next };
+            } else if (typeof type === 'object' && type.prim === 'array') {
+                if (!Number.isInteger(seg) || seg >= value.length) throw new StructError('OUT_OF_RANGE', `Index ${JSON.stringify(seg)} outside ${this.typeToString(type)} of length ${value.length}`, { path: where, expected: `0..${value.length - 1}`, actual: seg });
+                at = { type: type.of, localEnums: at.localEnums, value: value[seg], container: value, key: seg, path: next };
+            } else if (typeof type === 'object' && type.prim === 'map') {
+                at = { type: type.value, localEnums: at.localEnums, value: value[seg], container: value, key: String(seg), path: next };
+            } else if (type === 'any' && typeof value === 'object') {
+                at = { type: 'any', localEnums: at.localEnums, value: value[seg], container: value, key: seg, path: next };
+            } else {
+                throw new StructError('TYPE_MISMATCH', `Cannot look up ${JSON.stringify(seg)} in ${this.typeToString(type)} at "${where}"`, { path: where, expected: 'struct, union, array or map', actual: this.typeToString(type) });
+            }
+        }
+        return at;
+    }
+
+    // One field of an encoded message (enums come back as names, absent optional fields as undefined)
+    getField(typeName, buf, path) {
+        return this.resolveField(typeName, this.decode(typeName, buf), path).value;
+    }
+
+    // Re-encode a message with one field replaced; the result is validated like any encode.
+    // convert(value, at) can shape the value once the field is resolved (at.type, at.localEnums)
+    setField(typeName, buf, path, value, convert = null) {
+        const root = this.decode(typeName, buf);
+        const at = this.resolveField(typeName, root, path);
+        if (convert) value = convert(value, at);
+        if (!at.container) return this.encode(typeName, value);
+        MiniStruct.setEntry(at.container, at.key, value);
+        return this.encode(typeName, root);
+    }
+
+    // Frame = varint length of the rest, then (unless typed=false) a varint type id, then the message
+    encodeFrame(typeName, obj, typed = true) {
+        const payload = this.encode(typeName, obj);
+        const head = typed ? this.encodeVarint(this.typeIds[typeName]) : [];
+        const frame = [...this.encodeVarint(head.length + payload.length), ...head];
+        const out = new Uint8Array(frame.length + payload.length);
+        out.set(frame);
+        out.set(payload, frame.length);
+        return out;
+    }
+
+    // Decode one frame at offset; returns [{ type, value }, endOffset], or null when the buffer
+    // doesn't hold the whole frame yet. Pass typeName for frames written with typed=false.
+    decodeFrame(buf, offset = 0, typeName = null) {
+        const head = this.peekVarint(buf, offset);
+        if (!head) return null;
+        const [len, start] = head;
+        if (buf.length - start < len) return null;
+        const end = start + len;
+        let pos = start;
+        let type = typeName;
+        if (type === null) {
+            let id;
+            [id, pos] = this.decodeVarint(buf, pos);
+            type = this.typesById[id];
+            if (type === undefined) throw new DecodeError('UNKNOWN_TYPE_ID', `Unknown frame type id ${id}`, offset);
+        }
+        try {
+            return [{ type, value: this.decode(type, buf.subarray(pos, end)) }, end];
+        } catch (e) {
+            if (e instanceof DecodeError) e.shift(pos);
+            throw e;
+        }
+    }
+
+    // decodeVarint for data that may still be arriving: null if the varint is cut off
+    peekVarint(buf, pos) {
+        for (let i = pos; i < buf.length; i++) {
+            if (i - pos >= 10) throw new DecodeError('VARINT_OVERLONG', 'Varint longer than 10 bytes', pos);
+            if (!(buf[i] & 0x80)) return this.decodeVarint(buf, pos);
+        }
+        return null;
+    }
+
+    // Message header: magic byte, header version, then the type's fingerprint (4 bytes, big-endian)
+    static HEADER_MAGIC = 0xb5;
+    static HEADER_VERSION = 1;
+    static HEADER_LENGTH = 6;
+
+    withHeader(typeName, body) {
+        const out = new Uint8Array(MiniStruct.HEADER_LENGTH + body.length);
+        out.set(this.headerBytes(typeName));
+        out.set(body, MiniStruct.HEADER_LENGTH);
+        return out;
+    }
+
+    headerBytes(typeName) {
+        const fp = parseInt(this.fingerprint(typeName), 16);
+        return [MiniStruct.HEADER_MAGIC, MiniStruct.HEADER_VERSION, fp >>> 24, (fp >>> 16) & 0xff, (fp >>> 8) & 0xff, fp & 0xff];
+    }
+
+    // Verify the header at offset belongs to typeName; returns where the message body starts
+    checkHeader(typeName, buf, offset) {
+        if (buf.length - offset < MiniStruct.HEADER_LENGTH) {
+            throw new DecodeError('TRUNCATED', `Input truncated: need a ${MiniStruct.HEADER_LENGTH}-byte message header, ${Math.max(buf.length - offset, 0)} left`, offset, typeName);
+        }
+        if (buf[offset] !== MiniStruct.HEADER_MAGIC) {
+            throw new DecodeError('BAD_HEADER', `Missing message header (magic byte 0x${buf[offset].toString(16).padStart(2, '0')})`, offset, typeName);
+        }
+        if (buf[offset + 1] !== MiniStruct.HEADER_VERSION) {
+            throw new DecodeError('BAD_HEADER', `Unsupported message header version ${buf[offset + 1]}`, offset + 1, typeName);
+        }
+        const found = this.readFingerprint(buf, offset);
+        if (found !== this.fingerprint(typeName)) {
+            const actual = this.typeForFingerprint(found);
+            const reason = actual ? `Message was encoded as ${actual}, not ${typeName}` : `Message fingerprint ${found} doesn't match ${typeName} (${this.fingerprint(typeName)})`;
+            throw new DecodeError('WRONG_TYPE', reason, offset + 2, typeName);
+        }
+        return offset + MiniStruct.HEADER_LENGTH;
+    }
+
+    readFingerprint(buf, offset) {
+        return Array.from(buf.subarray(offset + 2, offset + MiniStruct.HEADER_LENGTH), b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    // Which struct or union a message with a header was encoded as (null when there is no
+    // header or the fingerprint isn't one of this schema's types)
+    identify(buf, offset = 0) {
+        if (buf.length - offset < MiniStruct.HEADER_LENGTH || buf[offset] !== MiniStruct.HEADER_MAGIC || buf[offset + 1] !== MiniStruct.HEADER_VERSION) return null;
+        return this.typeForFingerprint(this.readFingerprint(buf, offset));
+    }
+
+    typeForFingerprint(fp) {
+        return [...Object.keys(this.structs), ...Object.keys(this.unions)].find(name => this.fingerprint(name) === fp) || null;
+    }
+
+    // Stable 8-hex-digit hash of a struct or union: its canonical form plus everything it
+    // depends on, so editing a nested type changes the fingerprint of every type using it
+    fingerprint(typeName) {
+        if (!this.structs[typeName] && !this.unions[typeName]) throw new StructError('UNKNOWN_TYPE', `Unknown type: ${typeName}`, { actual: typeName });
+        if (!this.fingerprints[typeName]) this.fingerprints[typeName] = MiniStruct.hash32(this.canonicalSchema(typeName));
+        return this.fingerprints[typeName];
+    }
+
+    // FNV-1a over the UTF-8 bytes, as 8 hex digits
+    static hash32(text) {
+        let h = 0x811c9dc5;
+        for (const b of MiniStruct.TEXT_ENCODER.encode(text)) h = Math.imul(h ^ b, 0x01000193) >>> 0;
+        return h.toString(16).padStart(8, '0');
+    }
+
+    // Normalized schema text: comments, spacing, member order in enums and implicit numbering
+    // are gone, tags/values/ranges are spelled out. With a type name: that type first, then its
+    // dependencies by name; without, every declaration by name. The format leads the text,
+    // since the same struct encodes differently in each
+    canonicalSchema(typeName = null) {
+        let names;
+        if (typeName === null) {
+            names = [...Object.keys(this.enums), ...Object.keys(this.structs), ...Object.keys(this.unions)].sort();
+        } else {
+            const deps = new Set();
+            this.collectDependencies(typeName, deps);
+            deps.delete(typeName);
+            names = [typeName, ...[...deps].sort()];
+        }
+        return [`format ${this.options.format};`, ...names.map(name => this.canonicalDecl(name))].join('\n');
+    }
+
+    // Named types (structs, unions, global enums) reachable from a declaration
+    collectDependencies(name, seen) {
+        if (seen.has(name)) return;
+        seen.add(name);
+        const visit = (type, localEnums = {}) => {
+            if (typeof type === 'object') {
+                if (type.prim === 'array') visit(type.of, localEnums);
+                if (type.prim === 'map') [type.key, type.value].forEach(t => visit(t, localEnums));
+            } else if (!localEnums[type] && (this.structs[type] || this.unions[type] || this.enums[type])) {
+                this.collectDependencies(type, seen);
+            }
+        };
+        if (this.structs[name]) this.structs[name].fields.forEach(f => visit(f.type, f.localEnums));
+        if (this.unions[name]) this.unions[name].variants.forEach(v => visit(v.type));
+    }
+
+    canonicalDecl(name) {
+        const enumBody = e => Object.entries(e.nameToVal).sort((a, b) => a[1] - b[1]).map(([member, value]) => `${member}=${value};`).join('');
+        // aliases are spelled one way: float -> float64, int -> int32
+        const type = t => {
+            if (typeof t === 'string') return t === 'float' ? 'float64' : t;
+            if (t.prim === 'array') return `${type(t.of)}[${t.length ?? ''}]`;
+            if (t.prim === 'map') return `map<${type(t.key)},${type(t.value)}>`;
+            return this.typeToString(t.prim === 'int' && t.name === 'int' ? { ...t, name: 'int32' } : t);
+        };
+        if (this.enums[name]) return `enum ${name}{${enumBody(this.enums[name])}}`;
+        if (this.unions[name]) return `union ${name}{${this.unions[name].variants.map(v => `${type(v.type)} ${v.name}=${v.id};`).join('')}}`;
+        const struct = this.structs[name];
+        const enums = Object.keys(struct.localEnums).sort().map(e => `enum ${e}{${enumBody(struct.localEnums[e])}}`).join('');
+        const fields = struct.fields.map(f => {
+            const def = f.default !== undefined ? `:${MiniStruct.stringifyValue(f.default instanceof Uint8Array ? Array.from(f.default) : f.default)}` : '';
+            return `${f.optional ? 'optional ' : ''}${type(f.type)} ${f.name}@${f.tag}${def};`;
+        }).join('');
+        return `struct ${name}{${enums}${fields}}`;
+    }
+
+    // Decode one message starting at offset; returns [value, endOffset]. Tagged and protobuf
+    // messages are not self-delimiting and always run to the end of the buffer.
+    decodeAt(typeName, buf, offset = 0) {
+        if (this.options.header) offset = this.checkHeader(typeName, buf, offset);
+        if (this.compiled && this.compiled.decodersAt[typeName]) {
+            try {
+                return this.compiled.decodersAt[typeName](buf, offset);
+            } catch (e) {
+                // compiled codecs only detect bad input; the interpreter reports where it is
+                if (this.options.strict) this.decodeAtInterpreted(typeName, buf, offset);
+                throw e;
+            }
+        }
+        return this.decodeAtInterpreted(typeName, buf, offset);
+    }
+
+    decodeAtInterpreted(typeName, buf, offset) {
+        if (this.unions[typeName]) {
+            if (this.options.format === 'packed') {
+                const reader = new BitReader(buf, offset, this.options.strict);
+                return [this.decodeValuePacked(typeName, reader, {}, typeName), Math.ceil(reader.bitPos / 8)];
+            }
+            if (this.options.format === 'protobuf') return [this.decodeProtoUnion(typeName, buf, offset), buf.length];
+            return this.decodeValue(typeName, buf, offset, {}, typeName);
+        }
+        const struct = this.structs[typeName];
+        if (!struct) throw new StructError('UNKNOWN_TYPE', "Unknown struct: " + typeName, { actual: typeName });
+        if (this.options.format === 'packed') {
+            const reader = new BitReader(buf, offset, this.options.strict);
+            return [this.decodePacked(typeName, reader, typeName), Math.ceil(reader.bitPos / 8)];
+        }
+        if (this.options.format === 'protobuf') return [this.decodeProtobuf(typeName, buf, offset), buf.length];
+        return this.decodeStructAt(typeName, buf, offset, buf.length, typeName);
+    }
+
+    // Decode a struct body occupying buf[pos, end); returns [obj, newPos]
+    decodeStructAt(typeName, buf, pos, end, path) {
+        const struct = this.structs[typeName];
+        if (this.options.format === 'tagged') return [this.decodeTagged(typeName, buf, pos, end, path), end];
+        const obj = {};
+        const presenceLen = Math.ceil(struct.optionalCount / 8);
+        this.need(buf, pos, presenceLen, path, end);
+        const presence = buf.subarray(pos, pos + presenceLen);
+        pos += presenceLen;
+
+        for (const field of struct.fields) {
+            // fields missing from the buffer (absent optionals, truncated input) fall back to defaults;
+            // strict decoding only lets required fields with a default run past the end, as in
+            // messages written before those fields were appended
+            const absent = field.optional && !(presence[field.presenceBit >> 3] & (1 << (field.presenceBit & 7)));
+            if (!absent && pos >= end && this.options.strict && (field.optional || field.default === undefined)) {
+                throw new DecodeError('TRUNCATED', 'Input ends before this field', pos, `${path}.${field.name}`);
+            }
+            if (absent || pos >= end) {
+                if (field.default !== undefined) obj[field.name] = this.defaultValue(field);
+                continue;
+            }
+            [obj[field.name], pos] = this.decodeValue(field.type, buf, pos, struct.localEnums, `${path}.${field.name}`);
+        }
+
+        return [obj, pos];
+    }
+
+    // strict decoding: fail unless n more bytes are available before `end`
+    need(buf, pos, n, path = null, end = buf.length) {
+        if (this.options.strict && pos + n > end) {
+            throw new DecodeError('TRUNCATED', `Input truncated: need ${n} byte(s), ${Math.max(end - pos, 0)} left`, pos, path);
+        }
+    }
+
+    decodeText(bytes, pos, path) {
+        if (!this.options.strict) return MiniStruct.TEXT_DECODER.decode(bytes);
+        try {
+            return MiniStruct.STRICT_TEXT_DECODER.decode(bytes);
+        } catch (e) {
+            throw new DecodeError('INVALID_UTF8', 'Invalid UTF-8 in string', pos, path);
+        }
+    }
+
+    // strict decoding: decoded ints must lie in the declared (or intrinsic) range
+    checkDecodedInt(intName, type, value, pos, path) {
+        if (!this.options.strict) return;
+        const [min, max] = (typeof type === 'object' && type.range) || this.constructor.intrinsicBoundsForInt(intName);
+        const big = typeof value === 'bigint';
+        if ((big ? value < BigInt(min) : value < min) || (big ? value > BigInt(max) : value > max)) {
+            throw new DecodeError('OUT_OF_RANGE', `Integer ${value} outside [${min},${max}] for ${intName}`, pos, path);
+        }
+    }
+
+    decodeEnum(e, type, num, pos, path) {
+        if (num in e.valToName) return e.valToName[num];
+        if (this.options.strict) throw new DecodeError('INVALID_ENUM', `Value ${num} is not a member of enum ${type}`, pos, path);
+        return num;
+    }
+
+    // Tagged format: unknown tags (and tags whose wire type no longer matches the
+    // schema) are skipped, fields missing from the buffer fall back to defaults
+    decodeTagged(typeName, buf, offset, end = buf.length, path = typeName) {
+        const struct = this.structs[typeName];
+        const byTag = {};
+        for (const field of struct.fields) byTag[field.tag] = field;
+        const obj = {};
+        let pos = offset;
+        while (pos < end) {
+            let key;
+            [key, pos] = this.decodeVarint(buf, pos);
+            const tag = Math.floor(key / 8);
+            const wireType = key & 7;
+            const field = byTag[tag];
+            if (!field || this.wireTypeFor(field.type) !== wireType) {
+                const start = pos;
+                pos = this.skipWireValue(buf, pos, wireType);
+                if (this.options.strict && pos > end) throw new DecodeError('TRUNCATED', `Unknown field ${tag} runs past the end of the message`, start, path);
+                continue;
+            }
+            const fieldPath = `${path}.${field.name}`;
+            if (this.needsLengthWrapper(field.type)) {
+                let len;
+                [len, pos] = this.decodeVarint(buf, pos);
+                this.need(buf, pos, len, fieldPath, end);
+                let valueEnd;
+                [obj[field.name], valueEnd] = this.decodeValue(field.type, buf, pos, struct.localEnums, fieldPath);
+                if (this.options.strict && valueEnd !== pos + len) {
+                    throw new DecodeError(valueEnd > pos + len ? 'TRUNCATED' : 'TRAILING_BYTES', `Value doesn't match its ${len}-byte length prefix`, pos, fieldPath);
+                }
+                pos += len;
+            } else {
+                [obj[field.name], pos] = this.decodeValue(field.type, buf, pos, struct.localEnums, fieldPath);
+            }
+        }
+        for (const field of struct.fields) {
+            if (!(field.name in obj) && field.default !== undefined) obj[field.name] = this.defaultValue(field);
+        }
+        return obj;
+    }
+
+    // Number of bits needed to hold any offset in 0..span (span may be a BigInt)
+    static bitsForSpan(span) {
+        return span > 0 ? span.toString(2).length : 0;
+    }
+
+    // [min, max] of an enum's numeric values, used to size packed enum fields
+    enumBounds(e) {
+        const vals = Object.values(e.nameToVal);
+        return [Math.min(...vals), Math.max(...vals)];
+    }
+
+    // Fewest bits a value of the type takes in the packed format; counts and lengths take
+    // at least a byte. seen holds the structs and unions being measured (recursion adds 0)
+    packedMinBits(type, localEnums, seen = new Set()) {
+        if (typeof type === 'object') {
+            if (type.prim === 'array') return type.length === null ? 8 : type.length * this.packedMinBits(type.of, localEnums, seen);
+            if (type.prim === 'map') return 8;
+            if (type.prim === 'bytes') return type.length === null ? 8 : type.length * 8;
+        }
+        if ((typeof type === 'object' && type.prim === 'int') || type === 'int') {
+            const intName = typeof type === 'object' ? type.name : 'int';
+            const range = (typeof type === 'object' && type.range) || (!MiniStruct.INT_TYPES[intName].encoding && this.constructor.intrinsicBoundsForInt(intName));
+            return range ? this.constructor.bitsForSpan(BigInt(range[1]) - BigInt(range[0])) : 8;
+        }
+        if (type === 'bool') return 1;
+        if (type === 'string' || type === 'any') return 8;
+        if (type === 'float' || type === 'float64') return 64;
+        if (type === 'float32') return 32;
+        const e = localEnums[type] || this.enums[type];
+        if (e) {
+            const [emin, emax] = this.enumBounds(e);
+            return this.constructor.bitsForSpan(emax - emin);
+        }
+        if (seen.has(type)) return 0;
+        seen.add(type);
+        let bits = 0;
+        if (this.structs[type]) {
+            const struct = this.structs[type];
+            for (const field of struct.fields) bits += field.optional ? 1 : this.packedMinBits(field.type, struct.localEnums, seen);
+        } else if (this.unions[type]) {
+            const ids = this.unions[type].variants.map(v => v.id);
+            bits = this.constructor.bitsForSpan(Math.max(...ids) - Math.min(...ids)) + Math.min(...this.unions[type].variants.map(v => this.packedMinBits(v.type, localEnums, seen)));
+        }
+        seen.delete(type);
+        return bits;
+    }
+
+    // Lists and maps must spend bits on every element, or a count read from untrusted input
+    // could not be checked against the bytes that are left
+    checkPackedModel() {
+        const check = (owner, type, localEnums) => {
+            if (typeof type !== 'object') return;
+            if (type.prim === 'array') {
+                if (type.length === null && this.packedMinBits(type.of, localEnums) === 0) {
+                    throw new StructError('SCHEMA', `Schema error: ${owner} has no packed encoding (list elements take no bits)`, { path: owner });
+                }
+                check(owner, type.of, localEnums);
+            }
+            if (type.prim === 'map') {
+                if (this.packedMinBits(type.key, localEnums) + this.packedMinBits(type.value, localEnums) === 0) {
+                    throw new StructError('SCHEMA', `Schema error: ${owner} has no packed encoding (map entries take no bits)`, { path: owner });
+                }
+                check(owner, type.value, localEnums);
+            }
+        };
+        for (const [name, struct] of Object.entries(this.structs)) {
+            for (const field of struct.fields) check(`field ${name}.${field.name}`, field.type, struct.localEnums);
+        }
+        for (const [name, union] of Object.entries(this.unions)) {
+            for (const variant of union.variants) check(`variant ${name}.${variant.name}`, variant.type, {});
+        }
+    }
+
+    // A count read from the input must leave room for its elements; checked before looping
+    // so a hostile count can't run the decoder for millions of elements
+    checkPackedCount(reader, count, type, localEnums, at, path) {
+        if (!reader.strict) return;
+        if (!this.packedBitsCache) this.packedBitsCache = new WeakMap();
+        if (!this.packedBitsCache.has(type)) {
+            this.packedBitsCache.set(type, type.prim === 'map' ? this.packedMinBits(type.key, localEnums) + this.packedMinBits(type.value, localEnums) : this.packedMinBits(type.of, localEnums));
+        }
+        const need = count * this.packedBitsCache.get(type);
+        const left = Math.max(reader.buf.length * 8 - reader.bitPos, 0);
+        if (need > left) throw new DecodeError('TRUNCATED', `Input truncated: ${count} element(s) need at least ${need} bit(s), ${left} left`, at, path);
+    }
+
+    // Packed format: optional-field presence bits, then every field back to back at
+    // bit granularity; nested structs are inlined (no length prefix)
+    encodePacked(typeName, obj, writer, path) {
+        const struct = this.structs[typeName];
+        if (!struct) throw new StructError('UNKNOWN_TYPE', "Unknown struct: " + typeName, { actual: typeName });
+        const present = [];
+        for (const field of struct.fields) {
+            const val = obj[field.name] ?? field.default;
+            if (val === undefined && !field.optional) throw this.missingField(path, field);
+            if (field.optional) writer.writeBits(val === undefined ? 0 : 1, 1);
+            present.push(val);
+        }
+        struct.fields.forEach((field, i) => {
+            if (present[i] === undefined) return;
+            this.validateValueForField(field.type, present[i], `${path}.${field.name}`, struct.localEnums);
+            this.encodeValuePacked(field.type, present[i], writer, `${path}.${field.name}`, struct.localEnums);
+        });
+    }
+
+    encodeValuePacked(type, val, writer, path, localEnums) {
+        if (typeof type === 'object' && type.prim === 'array') {
+            if (type.length === null) writer.writeBytes(this.encodeVarint(val.length));
+            for (let i = 0; i < val.length; i++) this.encodeValuePacked(type.of, val[i], writer, `${path}[${i}]`, localEnums);
+            return;
+        }
+        if (typeof type === 'object' && type.prim === 'map') {
+            const entries = this.mapEntries(type, val);
+            writer.writeBytes(this.encodeVarint(entries.length));
+            for (const [k, v] of entries) {
+                this.encodeValuePacked(type.key, k, writer, this.mapKeyPath(path, k), localEnums);
+                this.encodeValuePacked(type.value, v, writer, this.mapKeyPath(path, k), localEnums);
+            }
+            return;
+        }
+        if (typeof type === 'object' && type.prim === 'bytes') {
+            const data = this.toBytes(val);
+            if (type.length === null) writer.writeBytes(this.encodeVarint(data.length));
+            writer.writeBytes(data);
+            return;
+        }
+        if ((typeof type === 'object' && type.prim === 'int') || type === "int") {
+            const intName = typeof type === 'object' ? type.name : 'int';
+            const info = MiniStruct.INT_TYPES[intName];
+            const range = (typeof type === 'object' && type.range) || (!info.encoding && this.constructor.intrinsicBoundsForInt(intName));
+            if (!range) {
+                // unranged variable-length ints keep their varint bytes
+                const zz = info.encoding === 'zigzag';
+                if (info.bits === 64) writer.writeBytes(this.encodeVarint64(zz ? this.zigzagEncode64(val) : val));
+                else writer.writeBytes(this.encodeVarint(zz ? this.zigzagEncode(val) : val));
+                return;
+            }
+            // write the offset from min using only as many bits as the range needs
+            const [rmin, rmax] = range;
+            if (info.bits === 64) writer.writeBits(BigInt(val) - BigInt(rmin), this.constructor.bitsForSpan(BigInt(rmax) - BigInt(rmin)));
+            else writer.writeBits(val - rmin, this.constructor.bitsForSpan(rmax - rmin));
+        } else if (type === "bool") {
+            writer.writeBits(val ? 1 : 0, 1);
+        } else if (type === "string" || type === "any") {
+            const enc = MiniStruct.TEXT_ENCODER.encode(type === "any" ? JSON.stringify(val) : val);
+            writer.writeBytes(this.encodeVarint(enc.length));
+            writer.writeBytes(enc);
+        } else if (type === "float" || type === 'float64') {
+            writer.writeBytes(this.writeFloat64(val));
+        } else if (type === 'float32') {
+            writer.writeBytes(this.writeFloat32(val));
+        } else if (localEnums[type] || this.enums[type]) {
+            const e = localEnums[type] || this.enums[type];
+            const [emin, emax] = this.enumBounds(e);
+            const num = typeof val === "string" ? e.nameToVal[val] : val;
+            writer.writeBits(num - emin, this.constructor.bitsForSpan(emax - emin));
+        } else if (this.structs[type]) {
+            this.encodePacked(type, val, writer, path);
+        } else if (this.unions[type]) {
+            const union = this.unions[type];
+            const [variant, inner] = this.resolveUnionValue(union, val);
+            const ids = union.variants.map(v => v.id);
+            writer.writeBits(variant.id - Math.min(...ids), this.constructor.bitsForSpan(Math.max(...ids) - Math.min(...ids)));
+            this.encodeValuePacked(variant.type, inner, writer, `${path}.${variant.name}`, localEnums);
+        }
+    }
+
+    decodePacked(typeName, reader, path = typeName) {
+        const struct = this.structs[typeName];
+        if (!struct) throw new StructError('UNKNOWN_TYPE', "Unknown struct: " + typeName, { actual: typeName });
+        const present = struct.fields.map(field => !field.optional || reader.readBits(1) === 1);
+        const obj = {};
+        struct.fields.forEach((field, i) => {
+            if (present[i]) obj[field.name] = this.decodeValuePacked(field.type, reader, struct.localEnums, `${path}.${field.name}`);
+            else if (field.default !== undefined) obj[field.name] = this.defaultValue(field);
+        });
+        return obj;
+    }
+
+    decodeValuePacked(type, reader, localEnums, path = '') {
+        try {
+            return this.readValuePacked(type, reader, localEnums, path);
+        } catch (e) {
+            if (e instanceof DecodeError && e.path === null) e.at(path);
+            throw e;
+        }
+    }
+
+    // varint embedded in the bit stream; errors report the stream's byte offset
+    readPackedVarint(reader) {
+        const start = reader.bitPos >> 3;
+        try {
+            return this.decodeVarint(reader.readVarintBytes(), 0)[0];
+        } catch (e) {
+            if (e instanceof DecodeError) e.shift(start);
+            throw e;
+        }
+    }
+
+    readValuePacked(type, reader, localEnums, path) {
+        const at = reader.bitPos >> 3;
+        if (typeof type === 'object' && type.prim === 'array') {
+            const count = type.length ?? this.readPackedVarint(reader);
+            if (type.length === null) this.checkPackedCount(reader, count, type, localEnums, at, path);
+            const arr = [];
+            for (let i = 0; i < count; i++) arr.push(this.decodeValuePacked(type.of, reader, localEnums, `${path}[${i}]`));
+            return arr;
+        }
+        if (typeof type === 'object' && type.prim === 'map') {
+            const count = this.readPackedVarint(reader);
+            this.checkPackedCount(reader, count, type, localEnums, at, path);
+            const obj = {};
+            for (let i = 0; i < count; i++) {
+                const k = this.decodeValuePacked(type.key, reader, localEnums, `${path}{key ${i}}`);
+                MiniStruct.setEntry(obj, k, this.decodeValuePacked(type.value, reader, localEnums, this.mapKeyPath(path, k)));
+            }
+            return obj;
+        }
+        if (typeof type === 'object' && type.prim === 'bytes') {
+            const len = type.length ?? this.readPackedVarint(reader);
+            return this.bytesOutput(reader.readBytes(len));
+        }
+        if ((typeof type === 'object' && type.prim === 'int') || type === "int") {
+            const intName = typeof type === 'object' ? type.name : 'int';
+            const info = MiniStruct.INT_TYPES[intName];
+            const range = (typeof type === 'object' && type.range) || (!info.encoding && this.constructor.intrinsicBoundsForInt(intName));
+            if (!range) {
+                // varint flavors without a range: same byte encoding as the compact format
+                try {
+                    return this.decodeValue(type, reader.readVarintBytes(), 0, localEnums, path)[0];
+                } catch (e) {
+                    if (e instanceof DecodeError) e.shift(at);
+                    throw e;
+                }
+            }
+            const [rmin, rmax] = range;
+            // the bit width can hold values past the top of the range
+            if (info.bits === 64) {
+                const bits = this.constructor.bitsForSpan(BigInt(rmax) - BigInt(rmin));
+                const v = BigInt(reader.readBits(bits)) + BigInt(rmin);
+                this.checkDecodedInt(intName, type, v, at, path);
+                return this.int64Output(v);
+            }
+            const v = reader.readBits(this.constructor.bitsForSpan(rmax - rmin)) + rmin;
+            this.checkDecodedInt(intName, type, v, at, path);
+            return v;
+        } else if (type === "bool") {
+            return reader.readBits(1) === 1;
+        } else if (type === "string" || type === "any") {
+            const len = this.readPackedVarint(reader);
+            const s = this.decodeText(reader.readBytes(len), at, path);
+            if (type === "string") return s;
+            try { return JSON.parse(s); } catch { return s; }
+        } else if (type === "float" || type === 'float64') {
+            return this.readFloat64(reader.readBytes(8), 0)[0];
+        } else if (type === 'float32') {
+            return this.readFloat32(reader.readBytes(4), 0)[0];
+        } else if (localEnums[type] || this.enums[type]) {
+            const e = localEnums[type] || this.enums[type];
+            const [emin, emax] = this.enumBounds(e);
+            const num = reader.readBits(this.constructor.bitsForSpan(emax - emin)) + emin;
+            return this.decodeEnum(e, type, num, at, path);
+        } else if (this.structs[type]) {
+            return this.decodePacked(type, reader, path);
+        } else if (this.unions[type]) {
+            const union = this.unions[type];
+            const ids = union.variants.map(v => v.id);
+            const id = reader.readBits(this.constructor.bitsForSpan(Math.max(...ids) - Math.min(...ids))) + Math.min(...ids);
+            const variant = union.byId[id];
+            if (!variant) throw new DecodeError('UNKNOWN_VARIANT', `Unknown discriminant ${id} for union ${type}`, at, path);
+            return this.unionOutput(variant, this.decodeValuePacked(variant.type, reader, localEnums, `${path}.${variant.name}`));
+        }
+        return undefined;
+    }
+
+    // Protobuf format: proto3 wire format, so messages can be exchanged with protobuf
+    // services (toProto() writes the matching .proto). Field tags are the field numbers;
+    // fixed-width ints travel as (s)fixed32/64, varint flavors as (u)int32/64, zigzag ones
+    // as sint32/64, and the 8/16-bit flavors, which protobuf lacks, as int32/uint32 varints
+    static PROTO_WIRE_TYPES = {
+        VARINT: 0,
+        I64: 1,
+        LEN: 2,
+        I32: 5,
+    };
+
+    // field numbers protobuf allows: 29 bits, minus the range reserved for its own use
+    static PROTO_MAX_TAG = 536870911;
+    static PROTO_RESERVED_TAGS = [19000, 19999];
+
+    // Wire type of a single (not repeated) value in the protobuf format
+    protoWireType(type) {
+        const W = MiniStruct.PROTO_WIRE_TYPES;
+        if ((typeof type === 'object' && type.prim === 'int') || type === 'int') {
+            const info = MiniStruct.INT_TYPES[typeof type === 'object' ? type.name : 'int'];
+            if (info.encoding || info.bits < 32) return W.VARINT;
+            return info.bits === 64 ? W.I64 : W.I32;
+        }
+        if (type === 'bool') return W.VARINT;
+        if (type === 'float' || type === 'float64') return W.I64;
+        if (type === 'float32') return W.I32;
+        if (typeof type === 'string' && type !== 'string' && type !== 'any' && !this.structs[type] && !this.unions[type]) return W.VARINT; // enums
+        return W.LEN;
+    }
+
+    // repeated numbers, bools and enums are packed into one length-delimited field
+    protoPackable(type) {
+        return this.protoWireType(type) !== MiniStruct.PROTO_WIRE_TYPES.LEN;
+    }
+
+    // Repeated fields can't nest and oneof members can't be repeated, so lists of lists, maps
+    // of lists and list variants have no protobuf encoding. Checked at load time for the
+    // protobuf format, and by toProto()
+    checkProtobufModel() {
+        const repeated = type => typeof type === 'object' && (type.prim === 'array' || type.prim === 'map');
+        const fail = (owner, reason) => new StructError('SCHEMA', `Schema error: ${owner} has no protobuf encoding (${reason})`, { path: owner });
+        const [reservedMin, reservedMax] = MiniStruct.PROTO_RESERVED_TAGS;
+        const checkTag = (owner, tag) => {
+            if (tag < 1 || tag > MiniStruct.PROTO_MAX_TAG) throw fail(owner, `field number ${tag} is outside 1..${MiniStruct.PROTO_MAX_TAG}`);
+            if (tag >= reservedMin && tag <= reservedMax) throw fail(owner, `field numbers ${reservedMin}-${reservedMax} are reserved by protobuf, got ${tag}`);
+        };
+        for (const [name, struct] of Object.entries(this.structs)) {
+            for (const { type, name: field, tag } of struct.fields) {
+                checkTag(`field ${name}.${field}`, tag);
+                if (type.prim === 'array' && repeated(type.of)) throw fail(`field ${name}.${field}`, "repeated fields can't hold lists or maps");
+                if (type.prim === 'map' && repeated(type.value)) throw fail(`field ${name}.${field}`, "map values can't be lists or maps");
+            }
+        }
+        for (const [name, union] of Object.entries(this.unions)) {
+            for (const variant of union.variants) {
+                // a variant travels as field id + 1
+                checkTag(`variant ${name}.${variant.name}`, variant.id + 1);
+                if (repeated(variant.type)) throw fail(`variant ${name}.${variant.name}`, "oneof members can't be lists or maps");
+            }
+        }
+    }
+
+    // proto3 leaves fields holding their type's zero value off the wire
+    isProtoZero(type, val, localEnums) {
+        if ((typeof type === 'object' && type.prim === 'int') || type === 'int') return Number(val) === 0;
+        if (typeof type === 'object' && type.prim === 'array') return type.length === null && val.length === 0;
+        if (typeof type === 'object' && type.prim === 'map') return this.mapEntries(type, val).length === 0;
+        if (typeof type === 'object' && type.prim === 'bytes') return type.length === null && this.toBytes(val).length === 0;
+        if (type === 'bool') return !val;
+        if (type === 'float' || type === 'float64' || type === 'float32') return Object.is(val, 0);
+        if (type === 'string') return val === '';
+        const e = localEnums[type] || this.enums[type];
+        return !!e && (typeof val === 'string' ? e.nameToVal[val] : val) === 0;
+    }
+
+    // Value of a field missing from a protobuf message: its type's zero value
+    protoZero(type, localEnums, buf, pos, path) {
+        if (typeof type === 'object') {
+            if (type.prim === 'int') return MiniStruct.INT_TYPES[type.name].bits === 64 ? this.int64Output(0n) : 0;
+            if (type.prim === 'array') return [];
+            if (type.prim === 'map') return {};
+            return this.bytesOutput(new Uint8Array(type.length ?? 0));
+        }
+        if (type === 'bool') return false;
+        if (type === 'string') return '';
+        if (type === 'any') return null;
+        if (this.structs[type]) return this.decodeProtobuf(type, buf, pos, pos, path);
+        // an unset oneof has no value to fall back on
+        if (this.unions[type]) return this.decodeProtoUnion(type, buf, pos, pos, path);
+        const e = localEnums[type] || this.enums[type];
+        return e ? this.decodeEnum(e, type, 0, pos, path) : 0;
+    }
+
+    encodeProtobuf(typeName, obj, path) {
+        const struct = this.structs[typeName];
+        const bytes = [];
+        // fields go out in field-number order, as protobuf encoders write them
+        for (const field of [...struct.fields].sort((a, b) => a.tag - b.tag)) {
+            let val = obj[field.name] ?? field.default;
+            if (val === undefined) {
+                // proto3 has no required fields: a missing one decodes as its zero value, except
+                // a union, whose zero value would have no variant set
+                if (field.optional || !this.unions[field.type]) continue;
+                throw this.missingField(path, field);
+            }
+            const fieldPath = `${path}.${field.name}`;
+            this.validateValueForField(field.type, val, fieldPath, struct.localEnums);
+            // zero values are left off unless the field is optional (explicit presence) or has a
+            // default of its own, which a missing field would decode to instead
+            if (!field.optional && field.default === undefined && this.isProtoZero(field.type, val, struct.localEnums)) continue;
+            this.encodeProtoField(field.tag, field.type, val, bytes, fieldPath, struct.localEnums);
+        }
+        return Uint8Array.from(bytes);
+    }
+
+    // Append a field's key and value; repeated fields append every element or entry
+    encodeProtoField(tag, type, val, bytes, path, localEnums) {
+        const W = MiniStruct.PROTO_WIRE_TYPES;
+        if (typeof type === 'object' && type.prim === 'array') {
+            if (!this.protoPackable(type.of)) {
+                val.forEach((v, i) => this.encodeProtoField(tag, type.of, v, bytes, `${path}[${i}]`, localEnums));
+                return;
+            }
+            const inner = [];
+            val.forEach((v, i) => this.encodeProtoValue(type.of, v, inner, `${path}[${i}]`, localEnums));
+            bytes.push(...this.encodeVarint(tag * 8 + W.LEN), ...this.encodeVarint(inner.length), ...inner);
+            return;
+        }
+        if (typeof type === 'object' && type.prim === 'map') {
+            // one entry message per key: the key is field 1, the value field 2
+            for (const [k, v] of this.mapEntries(type, val)) {
+                const entry = [];
+                this.encodeProtoField(1, type.key, k, entry, this.mapKeyPath(path, k), localEnums);
+                this.encodeProtoField(2, type.value, v, entry, this.mapKeyPath(path, k), localEnums);
+                bytes.push(...this.encodeVarint(tag * 8 + W.LEN), ...this.encodeVarint(entry.length), ...entry);
+            }
+            return;
+        }
+        bytes.push(...this.encodeVarint(tag * 8 + this.protoWireType(type)));
+        this.encodeProtoValue(type, val, bytes, path, localEnums);
+    }
+
+    // Append a single value without its key
+    encodeProtoValue(type, val, bytes, path, localEnums) {
+        if (typeof type === 'object' && type.prim === 'bytes') {
+            // fixed-size blobs carry a length like any other bytes field
+            const data = this.toBytes(val);
+            bytes.push(...this.encodeVarint(data.length), ...data);
+        } else if (typeof type === 'object' && type.prim === 'int' && MiniStruct.INT_TYPES[type.name].bits < 32) {
+            bytes.push(...this.encodeVarint(val));
+        } else if (this.structs[type] || this.unions[type]) {
+            const enc = this.structs[type] ? this.encodeProtobuf(type, val, path) : this.encodeProtoUnion(type, val, path);
+            bytes.push(...this.encodeVarint(enc.length), ...enc);
+        } else {
+            // the remaining scalars and enums are laid out as in the compact format
+            this.encodeValue(type, val, bytes, path, localEnums);
+        }
+    }
+
+    // Unions travel as a message holding one field numbered variant id + 1, like a oneof
+    encodeProtoUnion(typeName, val, path) {
+        const [variant, inner] = this.resolveUnionValue(this.unions[typeName], val);
+        const bytes = [];
+        this.encodeProtoField(variant.id + 1, variant.type, inner, bytes, `${path}.${variant.name}`, {});
+        return Uint8Array.from(bytes);
+    }
+
+    // Protobuf messages occupy buf[offset, end). Fields may come in any order, repeated scalars
+    // packed or not; unknown fields are skipped and missing ones read as their default or zero value
+    decodeProtobuf(typeName, buf, offset, end = buf.length, path = typeName) {
+        const struct = this.structs[typeName];
+        return this.decodeProtoFields(struct.fields, struct.localEnums, buf, offset, end, path);
+    }
+
+    decodeProtoFields(fields, localEnums, buf, offset, end, path) {
+        const W = MiniStruct.PROTO_WIRE_TYPES;
+        const byTag = {};
+        for (const field of fields) byTag[field.tag] = field;
+        const values = {};
+        let pos = offset, start = offset;
+        while (pos < end) {
+            start = pos;
+            let key;
+            [key, pos] = this.decodeVarint(buf, pos);
+            const tag = Math.floor(key / 8);
+            const wireType = key & 7;
+            const field = byTag[tag];
+            if (!field) {
+                pos = this.skipProtoValue(buf, pos, wireType, path);
+                continue;
+            }
+            const { type } = field;
+            const fieldPath = `${path}.${field.name}`;
+            const isArray = typeof type === 'object' && type.prim === 'array';
+            const isMap = typeof type === 'object' && type.prim === 'map';
+            const packed = isArray && this.protoPackable(type.of) && wireType === W.LEN;
+            const expected = isMap ? W.LEN : this.protoWireType(isArray ? type.of : type);
+            if (!packed && wireType !== expected) {
+                if (this.options.strict) throw new DecodeError('WIRE_TYPE_MISMATCH', `Field ${tag} has wire type ${wireType}, expected ${expected}`, start, fieldPath);
+                pos = this.skipProtoValue(buf, pos, wireType, fieldPath);
+                continue;
+            }
+            if (isMap) {
+                if (!values[field.name]) values[field.name] = {};
+                const entries = values[field.name];
+                const entryFields = [{ name: 'key', tag: 1, type: type.key }, { name: 'value', tag: 2, type: type.value }];
+                const [entryStart, entryEnd] = this.readProtoLength(buf, pos, fieldPath);
+                const entry = this.decodeProtoFields(entryFields, localEnums, buf, entryStart, entryEnd, `${fieldPath}{entry ${Object.keys(entries).length}}`);
+                MiniStruct.setEntry(entries, entry.key, entry.value);
+                pos = entryEnd;
+            } else if (isArray) {
+                if (!values[field.name]) values[field.name] = [];
+                const list = values[field.name];
+                if (packed) {
+                    // packed run: the values back to back inside one length prefix
+                    let runEnd;
+                    [pos, runEnd] = this.readProtoLength(buf, pos, fieldPath);
+                    while (pos < runEnd) {
+                        let v;
+                        [v, pos] = this.readProtoValue(type.of, buf, pos, localEnums, `${fieldPath}[${list.length}]`);
+                        list.push(v);
+                    }
+                    if (this.options.strict && pos > runEnd) throw new DecodeError('TRUNCATED', 'Packed values overrun their length prefix', start, fieldPath);
+                } else {
+                    let v;
+                    [v, pos] = this.readProtoValue(type.of, buf, pos, localEnums, `${fieldPath}[${list.length}]`);
+                    list.push(v);
+                }
+            } else {
+                // a field that appears more than once keeps its last value
+                [values[field.name], pos] = this.readProtoValue(type, buf, pos, localEnums, fieldPath);
+            }
+        }
+        if (this.options.strict && pos > end) throw new DecodeError('TRUNCATED', 'Field runs past the end of the message', start, path);
+        const obj = {};
+        for (const field of fields) {
+            const fieldPath = `${path}.${field.name}`;
+            if (field.name in values) obj[field.name] = values[field.name];
+            else if (field.default !== undefined) obj[field.name] = this.defaultValue(field);
+            else if (!field.optional) obj[field.name] = this.protoZero(field.type, localEnums, buf, end, fieldPath);
+            const { type } = field;
+            if (this.options.strict && typeof type === 'object' && type.prim === 'array' && type.length !== null && field.name in obj && obj[field.name].length !== type.length) {
+                throw new DecodeError('LENGTH_MISMATCH', `Expected exactly ${type.length} elements, got ${obj[field.name].length}`, offset, fieldPath);
+            }
+        }
+        return obj;
+    }
+
+    // Decode a union's wrapper message, which must set exactly one variant
+    decodeProtoUnion(typeName, buf, offset, end = buf.length, path = typeName) {
+        const union = this.unions[typeName];
+        const fields = union.variants.map(v => ({ name: v.name, tag: v.id + 1, type: v.type, optional: true }));
+        const obj = this.decodeProtoFields(fields, {}, buf, offset, end, path);
+        const set = union.variants.filter(v => v.name in obj);
+        // lenient decoding takes the last variant set, as protobuf parsers do
+        if (!set.length || (set.length > 1 && this.options.strict)) {
+            throw new DecodeError('UNKNOWN_VARIANT', set.length ? `More than one variant of union ${typeName} is set` : `No variant of union ${typeName} is set`, offset, path);
+        }
+        const variant = set[set.length - 1];
+        return this.unionOutput(variant, obj[variant.name]);
+    }
+
+    // Read a single value (no key); returns [value, newPos]
+    readProtoValue(type, buf, pos, localEnums, path) {
+        if (typeof type === 'object' && type.prim === 'bytes') {
+            const [start, end] = this.readProtoLength(buf, pos, path);
+            if (this.options.strict && type.length !== null && end - start !== type.length) {
+                throw new DecodeError('LENGTH_MISMATCH', `Expected exactly ${type.length} bytes, got ${end - start}`, start, path);
+            }
+            return [this.bytesOutput(buf.slice(start, end)), end];
+        }
+        if (typeof type === 'object' && type.prim === 'int' && MiniStruct.INT_TYPES[type.name].bits < 32) {
+            const [v, p2] = this.decodeVarint(buf, pos, MiniStruct.INT_TYPES[type.name].signed);
+            this.checkDecodedInt(type.name, type, v, pos, path);
+            return [v, p2];
+        }
+        if (type === 'bool') {
+            const [v, p2] = this.decodeVarint(buf, pos);
+            return [v !== 0, p2];
+        }
+        if (this.structs[type] || this.unions[type]) {
+            const [start, end] = this.readProtoLength(buf, pos, path);
+            const value = this.structs[type] ? this.decodeProtobuf(type, buf, start, end, path) : this.decodeProtoUnion(type, buf, start, end, path);
+            return [value, end];
+        }
+        return this.decodeValue(type, buf, pos, localEnums, path);
+    }
+
+    // Length prefix at pos; returns [start, end] of the payload after it
+    readProtoLength(buf, pos, path) {
+        const [len, start] = this.decodeVarint(buf, pos);
+        this.need(buf, start, len, path);
+        return [start, start + len];
+    }
+
+    // Skip the value of a field the schema doesn't have; returns the new position
+    skipProtoValue(buf, pos, wireType, path) {
+        const W = MiniStruct.PROTO_WIRE_TYPES;
+        if (wireType === W.VARINT) return this.decodeVarint(buf, pos)[1];
+        if (wireType === W.LEN) return this.readProtoLength(buf, pos, path)[1];
+        const size = { [W.I64]: 8, [W.I32]: 4 }[wireType];
+        if (!size) throw new DecodeError('UNKNOWN_WIRE_TYPE', `Unsupported wire type ${wireType}`, pos, path);
+        this.need(buf, pos, size, path);
+        return pos + size;
+    }
+
+    // TypeScript declarations for every enum, struct and union ({ codec: true } adds
+    // declarations for the module produced by generateCodec)
+    generateTypeScript(options) {
+        return new CodecGenerator(this).typeScript(options);
+    }
+
+    // Standalone JavaScript module with specialized compact-format encode/decode
+    // functions per struct and union (no schema parsing at runtime)
+    generateCodec(options) {
+        return new CodecGenerator(this).codecModule(options);
+    }
+
+    // Read a single value of the given type; returns [value, newPos]
+    decodeValue(type, buf, pos, localEnums, path = '') {
+        try {
+            return this.readValue(type, buf, pos, localEnums, path);
+        } catch (e) {
+            // low-level readers don't know the field path; the innermost value fills it in
+            if (e instanceof DecodeError && e.path === null) e.at(path);
+            throw e;
+        }
+    }
+
+    readValue(type, buf, pos, localEnums, path) {
+        if (typeof type === 'object' && type.prim === 'array') {
+            let count = type.length;
+            if (count === null) [count, pos] = this.decodeVarint(buf, pos);
+            const arr = [];
+            for (let i = 0; i < count; i++) {
+                let v;
+                [v, pos] = this.decodeValue(type.of, buf, pos, localEnums, `${path}[${i}]`);
+                arr.push(v);
+            }
+            return [arr, pos];
+        }
+        if (typeof type === 'object' && type.prim === 'map') {
+            let count;
+            [count, pos] = this.decodeVarint(buf, pos);
+            const obj = {};
+            for (let i = 0; i < count; i++) {
+                let k, v;
+                [k, pos] = this.decodeValue(type.key, buf, pos, localEnums, `${path}{key ${i}}`);
+                [v, pos] = this.decodeValue(type.value, buf, pos, localEnums, this.mapKeyPath(path, k));
+                MiniStruct.setEntry(obj, k, v);
+            }
+            return [obj, pos];
+        }
+        if (typeof type === 'object' && type.prim === 'bytes') {
+            let len = type.length;
+            if (len === null) [len, pos] = this.decodeVarint(buf, pos);
+            this.need(buf, pos, len, path);
+            return [this.bytesOutput(buf.slice(pos, pos + len)), pos + len];
+        }
+        if ((typeof type === 'object' && type.prim === 'int') || type === "int") {
+            let intName = (typeof type === 'object') ? type.name : 'int';
+            const info = MiniStruct.INT_TYPES[intName] || MiniStruct.INT_TYPES['int'];
+            if (info.encoding && info.bits === 64) {
+                let [v, p2] = this.decodeVarint64(buf, pos, info.encoding === 'varint' && info.signed);
+                if (info.encoding === 'zigzag') v = this.zigzagDecode64(v);
+                this.checkDecodedInt(intName, type, v, pos, path);
+                return [this.int64Output(v), p2];
+            }
+            if (info.encoding === 'zigzag') {
+                const [v, p2] = this.decodeVarint(buf, pos);
+                // a zigzag varint wider than 32 bits can't come from a 32-bit value
+                if (this.options.strict && v > 0xffffffff) throw new DecodeError('OUT_OF_RANGE', `Zigzag value ${v} too wide for ${intName}`, pos, path);
+                const value = this.zigzagDecode(v);
+                this.checkDecodedInt(intName, type, value, pos, path);
+                return [value, p2];
+            }
+            if (info.encoding === 'varint') {
+                const [v, p2] = this.decodeVarint(buf, pos, info.signed);
+                this.checkDecodedInt(intName, type, v, pos, path);
+                return [v, p2];
+            }
+            const [v, p2] = this.readFixedInt(buf, pos, info.bits, info.signed);
+            if (typeof type === 'object' && type.range) this.checkDecodedInt(intName, type, v, pos, path);
+            return [info.bits === 64 ? this.int64Output(v) : v, p2];
+        } else if (type === "string" || type === "any") {
+            let [len, p2] = this.decodeVarint(buf, pos);
+            this.need(buf, p2, len, path);
+            const s = this.decodeText(buf.subarray(p2, p2 + len), p2, path);
+            if (type === "string") return [s, p2 + len];
+            try { return [JSON.parse(s), p2 + len]; } catch { return [s, p2 + len]; }
+        } else if (type === "bool") {
+            this.need(buf, pos, 1, path);
+            return [!!buf[pos], pos + 1];
+        } else if (type === "float" || type === 'float64') {
+            return this.readFloat64(buf, pos);
+        } else if (type === 'float32') {
+            return this.readFloat32(buf, pos);
+        } else if (localEnums[type] || this.enums[type]) {
+            let [num, p2] = this.decodeVarint(buf, pos, true);
+            return [this.decodeEnum(localEnums[type] || this.enums[type], type, num, pos, path), p2];
+        } else if (this.structs[type]) {
+            let [len, p2] = this.decodeVarint(buf, pos);
+            this.need(buf, p2, len, path);
+            // nested structs are read in place, bounded by their length prefix
+            const end = p2 + len;
+            const [obj, p3] = this.decodeStructAt(type, buf, p2, end, path);
+            if (this.options.strict && p3 !== end) {
+                const problem = p3 > end ? 'overruns its length prefix' : `leaves ${end - p3} unread byte(s)`;
+                throw new DecodeError(p3 > end ? 'TRUNCATED' : 'TRAILING_BYTES', `Nested ${type} ${problem}`, p2, path);
+            }
+            return [obj, end];
+        } else if (this.unions[type]) {
+            const union = this.unions[type];
+            let [id, p2] = this.decodeVarint(buf, pos);
+            const variant = union.byId[id];
+            if (!variant) throw new DecodeError('UNKNOWN_VARIANT', `Unknown discriminant ${id} for union ${type}`, pos, path);
+            const [inner, p3] = this.decodeValue(variant.type, buf, p2, localEnums, `${path}.${variant.name}`);
+            return [this.unionOutput(variant, inner), p3];
+        }
+        return [undefined, pos];
+    }
+}
+
+// ------------------------
+// StructError (every error MiniStruct raises: schema, validation, encoding and decoding)
+// ------------------------
+class StructError extends Error {
+    // code: SCHEMA, TYPE_MISMATCH, OUT_OF_RANGE, INVALID_ENUM, LENGTH_MISMATCH, INVALID_BYTES,
+    // UNKNOWN_VARIANT, MISSING_FIELD, UNKNOWN_FIELD, UNKNOWN_TYPE, INVALID_OPTION, INVALID_PATH, INVALID_JSON or a decode code;
+    // expected/actual describe the offending value where there is one
+    constructor(code, message, { path = null, expected = null, actual, byteOffset = null } = {}) {
+        super(message);
+        this.name = 'StructError';
+        this.code = code;
+        this.path = path;
+        this.expected = expected;
+        this.actual = actual;
+        this.byteOffset = byteOffset;
+    }
+}
+
+// ------------------------
+// DecodeError (malformed input rejected by strict decoding)
+// ------------------------
+class DecodeError extends StructError {
+    // code: TRUNCATED, VARINT_OVERLONG, OUT_OF_RANGE, INVALID_ENUM, INVALID_UTF8, TRAILING_BYTES,
+    // UNKNOWN_VARIANT, UNKNOWN_WIRE_TYPE, WIRE_TYPE_MISMATCH, LENGTH_MISMATCH, UNKNOWN_TYPE_ID,
+    // BAD_HEADER or WRONG_TYPE; path is null until the enclosing value fills it in
+    constructor(code, reason, byteOffset, path = null) {
+        super(code, reason, { byteOffset });
+        this.name = 'DecodeError';
+        this.reason = reason;
+        this.at(path);
+    }
+
+    // offsets inside a sub-buffer become offsets into the enclosing one
+    shift(base) {
+        this.byteOffset += base;
+        return this.at(this.path);
+    }
+
+    at(path) {
+        this.path = path;
+        this.message = path === null ? `${this.reason} (byte ${this.byteOffset})` : `${this.reason} at "${path}" (byte ${this.byteOffset})`;
+        return this;
+    }
+}
+
+// ------------------------
+// SchemaParser (lexer + recursive-descent parser producing an AST with source positions)
+// ------------------------
+class SchemaParser {
+    constructor(text, sourceName = 'schema') {
+        this.text = text;
+        this.sourceName = sourceName;
+        this.tokens = this.tokenize(text);
+        this.pos = 0;
+    }
+
+    // token kinds in match order; whitespace and // or /* */ comments are skipped
+    static TOKEN_PATTERNS = [
+        ['ident', /[A-Za-z_]\w*/y],
+        ['number', /\d+(?:\.\d+)?(?:[eE][+-]?\d+)?/y],
+        ['string', /"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'/y],
+        ['punct', /[{}[\]<>(),;:=@?+\-.]/y],
+    ];
+
+    static error(sourceName, at, message) {
+        const err = new StructError('SCHEMA', `${sourceName}:${at.line}:${at.col}: ${message}`);
+        err.line = at.line;
+        err.column = at.col;
+        return err;
+    }
+
+    tokenize(text) {
+        const tokens = [];
+        let i = 0, line = 1, col = 1;
+        const advance = to => {
+            for (; i < to; i++) {
+                if (text[i] === '\n') { line++; col = 1; } else col++;
+            }
+        };
+        while (i < text.length) {
+            if (/\s/.test(text[i])) { advance(i + 1); continue; }
+            if (text.startsWith('//', i)) {
+                const end = text.indexOf('\n', i);
+                advance(end === -1 ? text.length : end);
+                continue;
+            }
+            if (text.startsWith('/*', i)) {
+                const end = text.indexOf('*/', i + 2);
+                if (end === -1) throw SchemaParser.error(this.sourceName, { line, col }, 'unterminated /* comment');
+                advance(end + 2);
+                continue;
+            }
+            let token = null;
+            for (const [kind, re] of SchemaParser.TOKEN_PATTERNS) {
+                re.lastIndex = i;
+                const m = re.exec(text);
+                if (m) {
+                    token = { kind, value: m[0], line, col, start: i, end: i + m[0].length };
+                    break;
+                }
+            }
+            if (!token) throw SchemaParser.error(this.sourceName, { line, col }, `unexpected character '${text[i]}'`);
+            tokens.push(token);
+            advance(token.end);
+        }
+        tokens.push({ kind: 'eof', value: '', line, col, start: i, end: i });
+        return tokens;
+    }
+
+    peek(ahead = 0) {
+        return this.tokens[Math.min(this.pos + ahead, this.tokens.length - 1)];
+    }
+
+    next() {
+        const token = this.peek();
+        if (token.kind !== 'eof') this.pos++;
+        return token;
+    }
+
+    // consume the next token if it is the given punctuation or keyword
+    accept(value) {
+        const token = this.peek();
+        if ((token.kind === 'punct' || token.kind === 'ident') && token.value === value) return this.next();
+        return null;
+    }
+
+    describe(token) {
+        return token.kind === 'eof' ? 'end of schema' : `'${token.value}'`;
+    }
+
+    expect(value, context) {
+        const token = this.accept(value);
+        if (!token) throw SchemaParser.error(this.sourceName, this.peek(), `expected '${value}' ${context}, got ${this.describe(this.peek())}`);
+        return token;
+    }
+
+    expectIdent(context) {
+        const token = this.peek();
+        if (token.kind !== 'ident') throw SchemaParser.error(this.sourceName, token, `expected ${context}, got ${this.describe(token)}`);
+        return this.next();
+    }
+
+    // integer literal (optionally negative) as text, e.g. "-5" or "1e15"
+    expectNumber(context, allowSign = true) {
+        const sign = allowSign && this.accept('-') ? '-' : '';
+        const token = this.peek();
+        if (token.kind !== 'number') throw SchemaParser.error(this.sourceName, token, `expected ${context}, got ${this.describe(token)}`);
+        this.next();
+        return sign + token.value;
+    }
+
+    expectInteger(context, allowSign = true) {
+        const at = this.peek();
+        const text = this.expectNumber(context, allowSign);
+        if (!/^-?\d+$/.test(text)) throw SchemaParser.error(this.sourceName, at, `expected ${context}, got '${text}'`);
+        return parseInt(text, 10);
+    }
+
+    // schema := (struct | enum | union | ';')*
+    parse() {
+        const body = [];
+        while (this.peek().kind !== 'eof') {
+            if (this.accept(';')) continue;
+            const token = this.peek();
+            if (token.value === 'struct') body.push(this.parseStruct());
+            else if (token.value === 'enum') body.push(this.parseEnum());
+            else if (token.value === 'union') body.push(this.parseUnion());
+            else if (token.value === 'import') body.push(this.parseImport());
+            else throw SchemaParser.error(this.sourceName, token, `expected 'struct', 'enum', 'union' or 'import', got ${this.describe(token)}`);
+        }
+        return { kind: 'schema', body };
+    }
+
+    // import := 'import' (STRING | IDENT) ';'?
+    parseImport() {
+        const kw = this.next();
+        const token = this.next();
+        if (token.kind !== 'string' && token.kind !== 'ident') throw SchemaParser.error(this.sourceName, token, `expected schema name after 'import', got ${this.describe(token)}`);
+        this.accept(';');
+        return { kind: 'import', name: token.kind === 'string' ? this.unquote(token) : token.value, line: kw.line, col: kw.col };
+    }
+
+    // struct := 'struct' IDENT '{' (enum | field)* '}'
+    parseStruct() {
+        const kw = this.next();
+        const name = this.expectIdent('struct name').value;
+        this.expect('{', `to open struct ${name}`);
+        const node = { kind: 'struct', name, line: kw.line, col: kw.col, enums: [], fields: [] };
+        while (!this.accept('}')) {
+            if (this.peek().kind === 'eof') throw SchemaParser.error(this.sourceName, this.peek(), `expected '}' to close struct ${name}, got end of schema`);
+            if (this.accept(';')) continue;
+            if (this.peek().value === 'enum' && this.peek(1).kind === 'ident' && this.peek(2).value === '{') node.enums.push(this.parseEnum());
+            else node.fields.push(this.parseField(name));
+        }
+        return node;
+    }
+
+    // enum := 'enum' IDENT '{' (IDENT ('=' INT)? (';' | ','))* '}'
+    parseEnum() {
+        const kw = this.next();
+        const name = this.expectIdent('enum name').value;
+        this.expect('{', `to open enum ${name}`);
+        const node = { kind: 'enum', name, line: kw.line, col: kw.col, members: [] };
+        while (!this.accept('}')) {
+            if (this.accept(';') || this.accept(',')) continue;
+            const member = this.expectIdent(`enum member or '}' in enum ${name}`);
+            const value = this.accept('=') ? this.expectInteger(`integer value for ${name}.${member.value}`) : null;
+            node.members.push({ name: member.value, value, line: member.line, col: member.col });
+        }
+        return node;
+    }
+
+    // union := 'union' IDENT '{' (type IDENT ('=' INT)? ';')* '}'
+    parseUnion() {
+        const kw = this.next();
+        const name = this.expectIdent('union name').value;
+        this.expect('{', `to open union ${name}`);
+        const node = { kind: 'union', name, line: kw.line, col: kw.col, variants: [] };
+        while (!this.accept('}')) {
+            if (this.peek().kind === 'eof') throw SchemaParser.error(this.sourceName, this.peek(), `expected '}' to close union ${name}, got end of schema`);
+            if (this.accept(';')) continue;
+            const type = this.parseType();
+            const variant = this.expectIdent(`variant name in union ${name}`);
+            const id = this.accept('=') ? this.expectInteger(`discriminant for ${name}.${variant.value}`, false) : null;
+            node.variants.push({ name: variant.value, type, id, line: variant.line, col: variant.col });
+            this.endMember(`after variant ${name}.${variant.value}`);
+        }
+        return node;
+    }
+
+    // field := 'optional'? type '?'? IDENT '?'? (('=' | '@') INT)? (':' default)? ';'
+    parseField(structName) {
+        let optional = false;
+        if (this.peek().value === 'optional' && this.peek(1).kind === 'ident') {
+            this.next();
+            optional = true;
+        }
+        const type = this.parseType();
+        if (this.accept('?')) optional = true;
+        const nameToken = this.expectIdent(`field name in struct ${structName}`);
+        const name = nameToken.value;
+        if (this.accept('?')) optional = true;
+        let tag = null;
+        if (this.accept('=') || this.accept('@')) tag = this.expectInteger(`tag number for ${structName}.${name}`, false);
+        let def;
+        if (this.accept(':')) def = this.parseLiteral(`default for ${structName}.${name}`);
+        this.endMember(`after field ${structName}.${name}`);
+        return { kind: 'field', name, type, optional, tag, default: def, line: nameToken.line, col: nameToken.col };
+    }
+
+    // a member ends with ';' (optional right before the closing brace)
+    endMember(context) {
+        if (this.accept(';') || this.peek().value === '}') return;
+        throw SchemaParser.error(this.sourceName, this.peek(), `expected ';' ${context}, got ${this.describe(this.peek())}`);
+    }
+
+    // literal := '-'? NUMBER | STRING | IDENT | '[' literal* ']' | '{' (key ':' literal)* '}'
+    // (list items and object entries are separated by ',' or ';')
+    parseLiteral(context) {
+        const token = this.peek();
+        const at = { line: token.line, col: token.col };
+        if (token.value === '-' || token.kind === 'number') return { kind: 'number', text: this.expectNumber(context), ...at };
+        if (token.kind === 'string') {
+            this.next();
+            return { kind: 'string', value: this.unquote(token), ...at };
+        }
+        if (token.kind === 'ident') {
+            this.next();
+            return { kind: 'ident', name: token.value, ...at };
+        }
+        if (this.accept('[')) {
+            const items = [];
+            while (!this.accept(']')) {
+                if (this.accept(',') || this.accept(';')) continue;
+                if (this.peek().kind === 'eof') throw SchemaParser.error(this.sourceName, this.peek(), `expected ']' to close list in ${context}, got end of schema`);
+                items.push(this.parseLiteral(context));
+            }
+            return { kind: 'list', items, ...at };
+        }
+        if (this.accept('{')) {
+            const entries = [];
+            while (!this.accept('}')) {
+                if (this.accept(',') || this.accept(';')) continue;
+                const keyToken = this.peek();
+                if (!['ident', 'string', 'number'].includes(keyToken.kind)) throw SchemaParser.error(this.sourceName, keyToken, `expected key or '}' in ${context}, got ${this.describe(keyToken)}`);
+                this.next();
+                const key = keyToken.kind === 'string' ? this.unquote(keyToken) : keyToken.value;
+                this.expect(':', `after key '${key}' in ${context}`);
+                entries.push({ key, value: this.parseLiteral(context), line: keyToken.line, col: keyToken.col });
+            }
+            return { kind: 'object', entries, ...at };
+        }
+        throw SchemaParser.error(this.sourceName, token, `expected a value in ${context}, got ${this.describe(token)}`);
+    }
+
+    // decode a quoted string token ('...' or "...") with JS-style escapes
+    unquote(token) {
+        const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f', v: '\v', 0: '\0' };
+        return token.value.slice(1, -1).replace(/\\(u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|.)/g, (m, esc) => {
+            if (esc[0] === 'u' && esc[1] === '{') return String.fromCodePoint(parseInt(esc.slice(2, -1), 16));
+            if ((esc[0] === 'u' || esc[0] === 'x') && esc.length > 1) return String.fromCharCode(parseInt(esc.slice(1), 16));
+            return escapes[esc] ?? esc;
+        });
+    }
+
+    // type := ('map' '<' type ',' type '>' | IDENT) ('[' INT ',' INT ']')? ('[' INT? ']')*
+    parseType() {
+        const token = this.expectIdent('type name');
+        let node;
+        if (token.value === 'map' && this.accept('<')) {
+            const key = this.parseType();
+            this.expect(',', 'between map key and value types');
+            const value = this.parseType();
+            this.expect('>', 'to close map<...>');
+            node = { kind: 'map', key, value, line: token.line, col: token.col };
+        } else {
+            node = { kind: 'named', name: token.value, range: null, line: token.line, col: token.col };
+        }
+        while (this.peek().value === '[') {
+            const open = this.next();
+            if (this.accept(']')) {
+                node = { kind: 'array', of: node, length: null, line: open.line, col: open.col };
+                continue;
+            }
+            const first = this.expectNumber('array length or integer range');
+            if (this.accept(',')) {
+                // integer range, only directly after the type name: uint8[0,255]
+                const second = this.expectNumber('range maximum');
+                this.expect(']', 'to close integer range');
+                if (node.kind !== 'named' || node.range) throw SchemaParser.error(this.sourceName, open, 'integer range must directly follow an integer type name');
+                node.range = [first, second];
+                continue;
+            }
+            if (!/^\d+$/.test(first)) throw SchemaParser.error(this.sourceName, open, `array length must be a non-negative integer, got '${first}'`);
+            this.expect(']', 'to close array length');
+            node = { kind: 'array', of: node, length: parseInt(first, 10), line: open.line, col: open.col };
+        }
+        return node;
+    }
+}
+
+// ------------------------
+// CodecGenerator (TypeScript declarations and standalone compact-format codecs from a MiniStruct model)
+// ------------------------
+class CodecGenerator {
+    constructor(ms) {
+        this.ms = ms;
+        this.tmp = 0;
+    }
+
+    // ---- TypeScript ----
+
+    typeScript({ codec = false } = {}) {
+        const ms = this.ms;
+        const out = ['// Generated from a MiniStruct schema. Do not edit.'];
+        const names = e => Object.keys(e.nameToVal).map(n => JSON.stringify(n)).join(' | ') || 'never';
+        const enums = Object.entries(ms.enums).map(([name, e]) => `export type ${name} = ${names(e)};`);
+        for (const [structName, struct] of Object.entries(ms.structs)) {
+            for (const [name, e] of Object.entries(struct.localEnums)) enums.push(`export type ${structName}_${name} = ${names(e)};`);
+        }
+        if (enums.length) out.push('', ...enums);
+        for (const [name, struct] of Object.entries(ms.structs)) {
+            out.push('', `export interface ${name} {`);
+            for (const field of struct.fields) {
+                // fields that may be left out when encoding: optionals and fields with defaults
+                const opt = field.optional || field.default !== undefined ? '?' : '';
+                out.push(`    ${field.name}${opt}: ${this.tsType(field.type, name, struct.localEnums)};`);
+            }
+            out.push('}');
+        }
+        for (const [name, union] of Object.entries(ms.unions)) {
+            const variants = union.variants.map(v => {
+                const inner = this.tsType(v.type, null, {});
+                return ms.options.unionShape === 'keyed' ? `{ ${JSON.stringify(v.name)}: ${inner} }` : `{ type: ${JSON.stringify(v.name)}; value: ${inner} }`;
+            });
+            out.push('', `export type ${name} =\n    | ${variants.join('\n    | ') || 'never'};`);
+        }
+        if (codec) {
+            const types = [...Object.keys(ms.structs), ...Object.keys(ms.unions)];
+            out.push('');
+            for (const name of types) {
+                out.push(`export declare function encode${name}(value: ${name}): Uint8Array;`);
+                out.push(`export declare function decode${name}(buf: Uint8Array, offset?: number): ${name};`);
+                out.push(`export declare function decode${name}At(buf: Uint8Array, offset?: number): [${name}, number];`);
+            }
+            out.push(`export type TypeName = ${types.map(t => JSON.stringify(t)).join(' | ') || 'never'};`);
+            out.push('export declare function encode(type: TypeName, value: unknown): Uint8Array;');
+            out.push('export declare function decode(type: TypeName, buf: Uint8Array, offset?: number): unknown;');
+        }
+        return out.join('\n') + '\n';
+    }
+
+    tsType(type, structName, localEnums) {
+        const ms = this.ms;
+        if (typeof type === 'object' && type.prim === 'int') {
+            if (MiniStruct.INT_TYPES[type.name].bits !== 64) return 'number';
+            if (ms.options.int64 !== 'number') return 'bigint';
+            // { int64: 'number' } keeps values past 2^53 as BigInt
+            const [min, max] = type.range || MiniStruct.intrinsicBoundsForInt(type.name);
+            return BigInt(min) >= BigInt(Number.MIN_SAFE_INTEGER) && BigInt(max) <= BigInt(Number.MAX_SAFE_INTEGER) ? 'number' : 'number | bigint';
+        }
+        if (typeof type === 'object' && type.prim === 'array') {
+            const of = this.tsType(type.of, structName, localEnums);
+            return /[|{ ]/.test(of) ? `Array<${of}>` : `${of}[]`;
+        }
+        if (typeof type === 'object' && type.prim === 'bytes') return ms.options.bytesAsText ? 'string' : 'Uint8Array';
+        if (typeof type === 'object' && type.prim === 'map') {
+            const value = this.tsType(type.value, structName, localEnums);
+            if (typeof type.key === 'object') return `Record<number, ${value}>`;
+            if (type.key === 'string') return `Record<string, ${value}>`;
+            return `Partial<Record<${this.tsType(type.key, structName, localEnums)}, ${value}>>`;
+        }
+        if (type === 'int' || type === 'float' || type === 'float32' || type === 'float64') return 'number';
+        if (type === 'bool') return 'boolean';
+        if (type === 'string') return 'string';
+        if (type === 'any') return 'unknown';
+        if (localEnums[type]) return `${structName}_${type}`;
+        return type;
+    }
+
+    // ---- standalone codec (compact format) ----
+
+    // JavaScript source for a value produced by the schema model (defaults)
+    literal(value) {
+        if (typeof value === 'bigint') return `${value}n`;
+        if (value instanceof Uint8Array) return `new Uint8Array([${Array.from(value).join(', ')}])`;
+        if (Array.isArray(value)) return `[${value.map(v => this.literal(v)).join(', ')}]`;
+        if (value !== null && typeof value === 'object') return `{ ${Object.entries(value).map(([k, v]) => `${JSON.stringify(k)}: ${this.literal(v)}`).join(', ')} }`;
+        if (Object.is(value, -0)) return '-0';
+        if (typeof value === 'number' && !Number.isFinite(value)) return String(value);
+        return JSON.stringify(value);
+    }
+
+    v(prefix) {
+        return `${prefix}${this.tmp++}`;
+    }
+
+    enumRef(type, ctx) {
+        return ctx.localEnums[type] ? `E_${ctx.struct}__${type}` : `E_${type}`;
+    }
+
+    // Statements writing `val` (a JS expression, evaluated once) of the given type to writer `w`
+    genEncode(type, val, path, ctx, ind) {
+        const ms = this.ms;
+        const lines = [];
+        const add = s => lines.push(ind + s);
+        const v = this.v('v');
+        add(`const ${v} = ${val};`);
+        if (typeof type === 'object' && type.prim === 'int') {
+            const info = MiniStruct.INT_TYPES[type.name];
+            const [min, max] = type.range || MiniStruct.intrinsicBoundsForInt(type.name);
+            const outside = type.range ? `outside declared range [${min},${max}]` : `outside intrinsic bounds of ${type.name} (${min}..${max})`;
+            if (info.bits === 64) {
+                add(`if (typeof ${v} !== 'bigint' && !Number.isSafeInteger(${v})) fail(${path}, 'Expected BigInt or safe integer (${type.name}), got ' + typeof ${v} + ' (' + show(${v}) + ')');`);
+                add(`if (${v} < ${min}n || ${v} > ${max}n) fail(${path}, 'integer ' + ${v} + ' ${outside}');`);
+                if (info.encoding === 'zigzag') add(`w.varint64(zigzag64(BigInt(${v})));`);
+                else if (info.encoding === 'varint') add(`w.varint64(BigInt.asUintN(64, BigInt(${v})));`);
+                else add(`w.${info.signed ? 'i64' : 'u64'}(BigInt(${v}));`);
+            } else {
+                add(`if (!Number.isInteger(${v})) fail(${path}, 'Expected integer (${type.name}), got ' + typeof ${v} + ' (' + show(${v}) + ')');`);
+                add(`if (${v} < ${min} || ${v} > ${max}) fail(${path}, 'integer ' + ${v} + ' ${outside}');`);
+                if (info.encoding === 'zigzag') add(`w.varint(((${v} << 1) ^ (${v} >> 31)) >>> 0);`);
+                else if (info.encoding === 'varint') add(`w.varint(${v});`);
+                else add(`w.${info.signed ? 'i' : 'u'}${info.bits}(${v});`);
+            }
+        } else if (typeof type === 'object' && type.prim === 'array') {
+            const i = this.v('i');
+            add(`if (!Array.isArray(${v})) fail(${path}, 'Expected array ${ms.typeToString(type)}, got ' + show(${v}));`);
+            if (type.length !== null) add(`if (${v}.length !== ${type.length}) fail(${path}, 'Expected exactly ${type.length} elements, got ' + ${v}.length);`);
+            else add(`w.varint(${v}.length);`);
+            add(`for (let ${i} = 0; ${i} < ${v}.length; ${i}++) {`);
+            lines.push(...this.genEncode(type.of, `${v}[${i}]`, `${path} + '[' + ${i} + ']'`, ctx, ind + '    '));
+            add('}');
+        } else if (typeof type === 'object' && type.prim === 'bytes') {
+            const b = this.v('b');
+            add(`const ${b} = toBytes(${v});`);
+            add(`if (!${b}) fail(${path}, 'Expected bytes, got ' + typeof ${v} + ' (' + show(${v}) + ')');`);
+            if (type.length !== null) add(`if (${b}.length !== ${type.length}) fail(${path}, 'Expected exactly ${type.length} bytes, got ' + ${b}.length);`);
+            else add(`w.varint(${b}.length);`);
+            add(`w.bytes(${b});`);
+        } else if (typeof type === 'object' && type.prim === 'map') {
+            const k = this.v('k'), e = this.v('e');
+            const intKey = typeof type.key === 'object';
+            const bigKey = intKey && MiniStruct.INT_TYPES[type.key.name].bits === 64;
+            add(`if (typeof ${v} !== 'object' || ${v} === null || Array.isArray(${v}) || ArrayBuffer.isView(${v})) fail(${path}, 'Expected ${ms.typeToString(type)} (object or Map), got ' + show(${v}));`);
+            add(`const ${e} = mapEntries(${v}, ${intKey}, ${bigKey});`);
+            add(`w.varint(${e}.length);`);
+            add(`for (const [${k}, ${k}v] of ${e}) {`);
+            const kp = `${path} + '[' + (typeof ${k} === 'string' ? JSON.stringify(${k}) : String(${k})) + ']'`;
+            lines.push(...this.genEncode(type.key, k, kp, ctx, ind + '    '));
+            lines.push(...this.genEncode(type.value, `${k}v`, kp, ctx, ind + '    '));
+            add('}');
+        } else if (type === 'string') {
+            add(`if (typeof ${v} !== 'string') fail(${path}, 'Expected string, got ' + typeof ${v} + ' (' + show(${v}) + ')');`);
+            add(`w.str(${v});`);
+        } else if (type === 'any') {
+            add(`w.str(JSON.stringify(${v}));`);
+        } else if (type === 'bool') {
+            add(`if (typeof ${v} !== 'boolean') fail(${path}, 'Expected bool, got ' + typeof ${v} + ' (' + show(${v}) + ')');`);
+            add(`w.u8(${v} ? 1 : 0);`);
+        } else if (type === 'int') {
+            add(`if (!Number.isInteger(${v})) fail(${path}, 'Expected integer, got ' + typeof ${v} + ' (' + show(${v}) + ')');`);
+            add(`w.i32(${v});`);
+        } else if (type === 'float' || type === 'float32' || type === 'float64') {
+            add(`if (typeof ${v} !== 'number') fail(${path}, 'Expected float, got ' + typeof ${v} + ' (' + show(${v}) + ')');`);
+            add(`w.f${type === 'float32' ? 32 : 64}(${v});`);
+        } else if (ctx.localEnums[type] || ms.enums[type]) {
+            const E = this.enumRef(type, ctx);
+            const n = this.v('n');
+            add(`const ${n} = typeof ${v} === 'string' ? ${E}.nameToVal[${v}] : (typeof ${v} === 'number' && ${v} in ${E}.valToName ? ${v} : undefined);`);
+            const e = ctx.localEnums[type] || ms.enums[type];
+            add(`if (${n} === undefined) {`);
+            add(`    if (typeof ${v} === 'string') fail(${path}, 'Expected enum ${type} one of [${Object.keys(e.nameToVal).join(', ')}], got ' + show(${v}));`);
+            add(`    if (typeof ${v} === 'number') fail(${path}, 'Expected enum ${type} numeric value one of [${Object.keys(e.valToName).join(', ')}], got ' + ${v});`);
+            add(`    fail(${path}, 'Expected enum ${type}, got ' + typeof ${v} + ' (' + show(${v}) + ')');`);
+            add('}');
+            add(`w.varint(${n});`);
+        } else if (ms.structs[type]) {
+            const start = this.v('s');
+            add(`const ${start} = w.beginLength();`);
+            add(`enc_${type}(w, ${v}, ${path});`);
+            add(`w.endLength(${start});`);
+        } else if (ms.unions[type]) {
+            add(`enc_${type}(w, ${v}, ${path});`);
+        }
+        return lines;
+    }
+
+    // Statements reading a value of the given type from reader `r` into `target`
+    genDecode(type, target, ctx, ind) {
+        const ms = this.ms;
+        const lines = [];
+        const add = s => lines.push(ind + s);
+        const int64 = expr => ms.options.int64 === 'number' ? `int64Number(${expr})` : expr;
+        const strict = ms.options.strict;
+        if (typeof type === 'object' && type.prim === 'int') {
+            const info = MiniStruct.INT_TYPES[type.name];
+            const [min, max] = type.range || MiniStruct.intrinsicBoundsForInt(type.name);
+            // strict: varints and declared ranges can decode to values the type doesn't allow
+            const check = strict && (info.encoding || type.range);
+            const n = this.v('n');
+            const suffix = info.bits === 64 ? 'n' : '';
+            add(`{`);
+            add(`    const at = r.pos;`);
+            if (info.bits === 64) {
+                if (info.encoding === 'zigzag') add(`    const ${n} = unzigzag64(r.varint64(false));`);
+                else if (info.encoding === 'varint') add(`    const ${n} = r.varint64(${info.signed});`);
+                else add(`    const ${n} = r.${info.signed ? 'i64' : 'u64'}();`);
+            } else if (info.encoding === 'zigzag') {
+                add(`    const z = r.varint(false);`);
+                if (strict) add(`    if (z > 0xffffffff) corrupt(at, 'Zigzag value ' + z + ' too wide for ${type.name}');`);
+                add(`    const ${n} = (z >>> 1) ^ -(z & 1);`);
+            } else if (info.encoding === 'varint') {
+                add(`    const ${n} = r.varint(${info.signed});`);
+            } else add(`    const ${n} = r.${info.signed ? 'i' : 'u'}${info.bits}();`);
+            if (check) add(`    if (${n} < ${min}${suffix} || ${n} > ${max}${suffix}) corrupt(at, 'Integer ' + ${n} + ' outside [${min},${max}] for ${type.name}');`);
+            add(`    ${target} = ${info.bits === 64 ? int64(n) : n};`);
+            add(`}`);
+        } else if (typeof type === 'object' && type.prim === 'array') {
+            const a = this.v('a'), i = this.v('i'), n = this.v('n');
+            add(`{`);
+            add(`    const ${n} = ${type.length !== null ? type.length : 'r.varint(false)'};`);
+            add(`    const ${a} = new Array(${n});`);
+            add(`    for (let ${i} = 0; ${i} < ${n}; ${i}++) {`);
+            lines.push(...this.genDecode(type.of, `${a}[${i}]`, ctx, ind + '        '));
+            add(`    }`);
+            add(`    ${target} = ${a};`);
+            add(`}`);
+        } else if (typeof type === 'object' && type.prim === 'bytes') {
+            const b = `r.take(${type.length !== null ? type.length : 'r.varint(false)'})`;
+            add(`${target} = ${ms.options.bytesAsText ? `bytesToText(${b})` : b};`);
+        } else if (typeof type === 'object' && type.prim === 'map') {
+            const o = this.v('o'), i = this.v('i'), n = this.v('n'), k = this.v('k'), val = this.v('x');
+            add(`{`);
+            add(`    const ${n} = r.varint(false);`);
+            add(`    const ${o} = {};`);
+            add(`    for (let ${i} = 0; ${i} < ${n}; ${i}++) {`);
+            add(`        let ${k}, ${val};`);
+            lines.push(...this.genDecode(type.key, k, ctx, ind + '        '));
+            lines.push(...this.genDecode(type.value, val, ctx, ind + '        '));
+            add(`        setEntry(${o}, ${k}, ${val});`);
+            add(`    }`);
+            add(`    ${target} = ${o};`);
+            add(`}`);
+        } else if (type === 'string') {
+            add(`${target} = r.str();`);
+        } else if (type === 'any') {
+            add(`{ const s = r.str(); try { ${target} = JSON.parse(s); } catch (e) { ${target} = s; } }`);
+        } else if (type === 'bool') {
+            add(`${target} = r.u8() !== 0;`);
+        } else if (type === 'int') {
+            add(`${target} = r.i32();`);
+        } else if (type === 'float' || type === 'float32' || type === 'float64') {
+            add(`${target} = r.f${type === 'float32' ? 32 : 64}();`);
+        } else if (ctx.localEnums[type] || ms.enums[type]) {
+            const E = this.enumRef(type, ctx);
+            if (strict) add(`{ const at = r.pos; const n = r.varint(true); if (!(n in ${E}.valToName)) corrupt(at, 'Value ' + n + ' is not a member of enum ${type}'); ${target} = ${E}.valToName[n]; }`);
+            else add(`{ const n = r.varint(true); ${target} = ${E}.valToName[n] ?? n; }`);
+        } else if (ms.structs[type]) {
+            add(`{`);
+            add(`    const len = r.varint(false);`);
+            add(`    r.need(len);`);
+            add(`    const end = r.pos + len;`);
+            add(`    ${target} = dec_${type}(r, end);`);
+            if (strict) add(`    if (r.pos !== end) corrupt(end - len, 'Nested ${type} does not match its length prefix');`);
+            add(`    r.pos = end;`);
+            add(`}`);
+        } else if (ms.unions[type]) {
+            add(`${target} = dec_${type}(r, r.end);`);
+        }
+        return lines;
+    }
+
+    structFunctions(name, struct) {
+        const lines = [];
+        const ctx = { struct: name, localEnums: struct.localEnums };
+        const presenceLen = Math.ceil(struct.optionalCount / 8);
+        lines.push(`function enc_${name}(w, obj, path) {`);
+        lines.push(`    if (typeof obj !== 'object' || obj === null || Array.isArray(obj)) fail(path, 'Expected struct ${name}, got ' + typeof obj + ' (' + show(obj) + ')');`);
+        if (presenceLen) lines.push(`    const presence = w.pos;`, `    w.zeros(${presenceLen});`);
+        struct.fields.forEach((field, i) => {
+            const f = `f${i}`;
+            const fieldPath = `path + ${JSON.stringify('.' + field.name)}`;
+            lines.push(`    let ${f} = obj[${JSON.stringify(field.name)}] ?? ${field.default !== undefined ? this.literal(field.default) : 'undefined'};`);
+            lines.push(`    if (${f} !== undefined) {`);
+            if (field.optional) lines.push(`        w.buf[presence + ${field.presenceBit >> 3}] |= ${1 << (field.presenceBit & 7)};`);
+            lines.push(...this.genEncode(field.type, f, fieldPath, ctx, '        '));
+            lines.push(field.optional ? '    }' : `    } else throw new Error('Missing required field at "' + ${fieldPath} + '"');`);
+        });
+        lines.push('}', '');
+        lines.push(`function dec_${name}(r, end) {`);
+        lines.push('    const obj = {};');
+        if (presenceLen) lines.push(`    const presence = r.take(${presenceLen});`);
+        struct.fields.forEach(field => {
+            const key = JSON.stringify(field.name);
+            const absent = field.optional ? `!(presence[${field.presenceBit >> 3}] & ${1 << (field.presenceBit & 7)})` : null;
+            if (this.ms.options.strict && (field.optional || field.default === undefined)) lines.push(`    if (${absent ? `${absent.slice(1)} && ` : ''}r.pos >= end) corrupt(r.pos, 'Input ends before ${name}.${field.name}');`);
+            const missing = [absent, 'r.pos >= end'].filter(Boolean).join(' || ');
+            lines.push(`    if (${missing}) {`);
+            if (field.default !== undefined) lines.push(`        obj[${key}] = ${this.literal(field.default)};`);
+            lines.push('    } else {');
+            lines.push(...this.genDecode(field.type, `obj[${key}]`, ctx, '        '));
+            lines.push('    }');
+        });
+        lines.push('    return obj;', '}', '');
+        return lines;
+    }
+
+    unionFunctions(name, union) {
+        const ms = this.ms;
+        const ctx = { struct: name, localEnums: {} };
+        const lines = [];
+        const names = union.variants.map(v => v.name);
+        lines.push(`function enc_${name}(w, u, path) {`);
+        lines.push(`    let variant, inner;`);
+        lines.push(`    if (u !== null && typeof u === 'object' && typeof u.type === 'string' && 'value' in u && U_${name}.has(u.type)) { variant = u.type; inner = u.value; }`);
+        lines.push(`    else if (u !== null && typeof u === 'object' && Object.keys(u).length === 1 && U_${name}.has(Object.keys(u)[0])) { variant = Object.keys(u)[0]; inner = u[variant]; }`);
+        lines.push(`    else fail(path, 'Expected union ${name} as { type, value } or { variant: value } with variant one of [${names.join(', ')}], got ' + show(u));`);
+        lines.push('    switch (variant) {');
+        for (const variant of union.variants) {
+            lines.push(`        case ${JSON.stringify(variant.name)}: {`);
+            lines.push(`            w.varint(${variant.id});`);
+            lines.push(...this.genEncode(variant.type, 'inner', `path + ${JSON.stringify('.' + variant.name)}`, ctx, '            '));
+            lines.push('            break;', '        }');
+        }
+        lines.push('    }', '}', '');
+        lines.push(`function dec_${name}(r, end) {`);
+        lines.push('    const at = r.pos;');
+        lines.push('    const id = r.varint(false);');
+        lines.push('    let value;');
+        lines.push('    switch (id) {');
+        for (const variant of union.variants) {
+            const shape = ms.options.unionShape === 'keyed' ? `{ ${JSON.stringify(variant.name)}: value }` : `{ type: ${JSON.stringify(variant.name)}, value }`;
+            lines.push(`        case ${variant.id}:`);
+            lines.push(...this.genDecode(variant.type, 'value', ctx, '            '));
+            lines.push(`            return ${shape};`);
+        }
+        lines.push(`        default: corrupt(at, 'Unknown discriminant ' + id + ' for union ${name}');`);
+        lines.push('    }', '}', '');
+        return lines;
+    }
+
+    // Everything a codec needs (runtime helpers, enum tables, per-type functions), ending with
+    // `encoders` / `decoders` / `decodersAt` maps keyed by struct or union name
+    codecBody() {
+        const ms = this.ms;
+        this.tmp = 0;
+        const lines = [`const STRICT = ${!!ms.options.strict};`, `const BYTES_AS_TEXT = ${!!ms.options.bytesAsText};`, CodecGenerator.RUNTIME.trim(), ''];
+        const enumTable = e => `{ nameToVal: ${JSON.stringify(e.nameToVal)}, valToName: ${JSON.stringify(e.valToName)} }`;
+        for (const [name, e] of Object.entries(ms.enums)) lines.push(`const E_${name} = ${enumTable(e)};`);
+        for (const [structName, struct] of Object.entries(ms.structs)) {
+            for (const [name, e] of Object.entries(struct.localEnums)) lines.push(`const E_${structName}__${name} = ${enumTable(e)};`);
+        }
+        for (const [name, union] of Object.entries(ms.unions)) lines.push(`const U_${name} = new Set(${JSON.stringify(union.variants.map(v => v.name))});`);
+        lines.push('', '// preallocated and grown as needed; every encode copies its bytes out', 'const writer = new Writer(1024);');
+        lines.push('// borrows the buffer of the { buf, pos } target given to encodeInto', 'const borrowed = new Writer(0);', '');
+        for (const [name, struct] of Object.entries(ms.structs)) lines.push(...this.structFunctions(name, struct));
+        for (const [name, union] of Object.entries(ms.unions)) lines.push(...this.unionFunctions(name, union));
+        const types = [...Object.keys(ms.structs), ...Object.keys(ms.unions)];
+        for (const name of types) {
+            lines.push(`function encode${name}(value) {`);
+            lines.push('    const w = writer.reset();');
+            lines.push(`    enc_${name}(w, value, ${JSON.stringify(name)});`);
+            lines.push('    return w.finish();');
+            lines.push('}', '');
+            lines.push(`function encode${name}Into(target, value) {`);
+            lines.push('    const w = borrowed.attach(target.buf, target.pos);');
+            lines.push(`    enc_${name}(w, value, ${JSON.stringify(name)});`);
+            lines.push('    target.buf = w.buf;');
+            lines.push('    target.pos = w.pos;');
+            lines.push('    return w.pos;');
+            lines.push('}', '');
+            lines.push(`function decode${name}(buf, offset = 0) {`);
+            lines.push('    const r = new Reader(buf, offset);');
+            lines.push(`    const value = dec_${name}(r, buf.length);`);
+            if (ms.options.strict) lines.push(`    if (r.pos < buf.length) corrupt(r.pos, (buf.length - r.pos) + ' unread byte(s) after the message');`);
+            lines.push('    return value;');
+            lines.push('}', '');
+            lines.push(`function decode${name}At(buf, offset = 0) {`);
+            lines.push('    const r = new Reader(buf, offset);');
+            lines.push(`    return [dec_${name}(r, buf.length), r.pos];`);
+            lines.push('}', '');
+        }
+        lines.push(`const encoders = { ${types.map(t => `${t}: encode${t}`).join(', ')} };`);
+        lines.push(`const encodersInto = { ${types.map(t => `${t}: encode${t}Into`).join(', ')} };`);
+        lines.push(`const decoders = { ${types.map(t => `${t}: decode${t}`).join(', ')} };`);
+        lines.push(`const decodersAt = { ${types.map(t => `${t}: decode${t}At`).join(', ')} };`);
+        lines.push('');
+        lines.push('function encode(type, value) {');
+        lines.push(`    if (!encoders[type]) throw new Error('Unknown struct: ' + type);`);
+        lines.push('    return encoders[type](value);');
+        lines.push('}', '');
+        lines.push('// append to target (a BufferWriter or any { buf, pos }); returns the end offset');
+        lines.push('function encodeInto(type, value, target) {');
+        lines.push(`    if (!encodersInto[type]) throw new Error('Unknown struct: ' + type);`);
+        lines.push('    return encodersInto[type](target, value);');
+        lines.push('}', '');
+        lines.push('function decode(type, buf, offset = 0) {');
+        lines.push(`    if (!decoders[type]) throw new Error('Unknown struct: ' + type);`);
+        lines.push('    return decoders[type](buf, offset);');
+        lines.push('}');
+        return lines.join('\n');
+    }
+
+    // A standalone ES module (or CommonJS with { module: 'cjs' }) with no runtime schema parsing
+    codecModule({ module = 'esm' } = {}) {
+        const ms = this.ms;
+        const exported = [...Object.keys(ms.structs), ...Object.keys(ms.unions)].flatMap(t => [`encode${t}`, `encode${t}Into`, `decode${t}`, `decode${t}At`]).concat(['encode', 'encodeInto', 'decode']);
+        const header = '// Generated from a MiniStruct schema (compact format). Do not edit.\n';
+        const footer = module === 'cjs' ? `module.exports = { ${exported.join(', ')} };` : `export { ${exported.join(', ')} };`;
+        return `${header}${module === 'cjs' ? "'use strict';\n" : ''}\n${this.codecBody()}\n\n${footer}\n`;
+    }
+
+    // Helpers shared by every generated codec: growable writer, reader, validation messages
+    static RUNTIME = `
+const TE = new TextEncoder();
+const TD = new TextDecoder('utf-8', { fatal: STRICT });
+
+function show(v) {
+    try { return JSON.stringify(v, (k, x) => typeof x === 'bigint' ? x + 'n' : x); } catch (e) { return String(v); }
+}
+
+function fail(path, message) {
+    throw new Error('Type violation at "' + path + '": ' + message);
+}
+
+function corrupt(pos, message) {
+    throw new Error(message + ' (byte ' + pos + ')');
+}
+
+// { int64: 'number' }: a Number when it holds the value exactly, else the BigInt
+function int64Number(v) {
+    const n = Number(v);
+    return Number.isSafeInteger(n) ? n : v;
+}
+
+function zigzag64(n) {
+    n = BigInt.asIntN(64, n);
+    return BigInt.asUintN(64, (n << 1n) ^ (n >> 63n));
+}
+
+function unzigzag64(u) {
+    return (u >> 1n) ^ -(u & 1n);
+}
+
+function bytesFromText(text) {
+    if (/^0x/i.test(text)) {
+        const hex = text.slice(2);
+        if (hex.length % 2 !== 0 || /[^0-9a-f]/i.test(hex)) return null;
+        const out = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < out.length; i++) out[i] = parseInt(hex.substr(i * 2, 2), 16);
+        return out;
+    }
+    if (!/^[A-Za-z0-9+/]*={0,2}$/.test(text)) return null;
+    if (typeof atob !== 'function') return Uint8Array.from(Buffer.from(text, 'base64'));
+    const s = atob(text);
+    const out = new Uint8Array(s.length);
+    for (let i = 0; i < s.length; i++) out[i] = s.charCodeAt(i);
+    return out;
+}
+
+function bytesToText(u8) {
+    if (typeof btoa !== 'function') return Buffer.from(u8).toString('base64');
+    let s = '';
+    for (let i = 0; i < u8.length; i++) s += String.fromCharCode(u8[i]);
+    return btoa(s);
+}
+
+function toBytes(v) {
+    if (v instanceof Uint8Array) return v;
+    if (v instanceof ArrayBuffer) return new Uint8Array(v);
+    if (ArrayBuffer.isView(v)) return new Uint8Array(v.buffer, v.byteOffset, v.byteLength);
+    if (Array.isArray(v) && v.every(b => Number.isInteger(b) && b >= 0 && b <= 255)) return Uint8Array.from(v);
+    if (typeof v === 'string' && BYTES_AS_TEXT) return bytesFromText(v);
+    return null;
+}
+
+function setEntry(o, k, v) {
+    if (k === '__proto__') Object.defineProperty(o, k, { value: v, writable: true, enumerable: true, configurable: true });
+    else o[k] = v;
+}
+
+function mapEntries(v, intKey, bigKey) {
+    if (v instanceof Map) return [...v.entries()];
+    return Object.entries(v).map(([k, x]) => !intKey || !/^-?\\d+$/.test(k) ? [k, x] : [bigKey ? BigInt(k) : Number(k), x]);
+}
+
+class Writer {
+    constructor(size = 256) {
+        this.buf = new Uint8Array(size);
+        this.view = new DataView(this.buf.buffer);
+        this.pos = 0;
+    }
+
+    ensure(n) {
+        if (this.pos + n <= this.buf.length) return;
+        let size = Math.max(this.buf.length * 2, 16);
+        while (size < this.pos + n) size *= 2;
+        const next = new Uint8Array(size);
+        next.set(this.buf.subarray(0, this.pos));
+        this.buf = next;
+        this.view = new DataView(next.buffer);
+    }
+
+    reset() { this.pos = 0; return this; }
+    // write into someone else's buffer (a BufferWriter's) from pos; ensure() still grows it
+    attach(buf, pos) {
+        this.buf = buf;
+        this.view = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+        this.pos = pos;
+        return this;
+    }
+    zeros(n) { this.ensure(n); this.buf.fill(0, this.pos, this.pos + n); this.pos += n; }
+    u8(v) { this.ensure(1); this.buf[this.pos++] = v; }
+    i8(v) { this.ensure(1); this.view.setInt8(this.pos, v); this.pos += 1; }
+    u16(v) { this.ensure(2); this.view.setUint16(this.pos, v, true); this.pos += 2; }
+    i16(v) { this.ensure(2); this.view.setInt16(this.pos, v, true); this.pos += 2; }
+    u32(v) { this.ensure(4); this.view.setUint32(this.pos, v, true); this.pos += 4; }
+    i32(v) { this.ensure(4); this.view.setInt32(this.pos, v, true); this.pos += 4; }
+    u64(v) { this.ensure(8); this.view.setBigUint64(this.pos, v, true); this.pos += 8; }
+    i64(v) { this.ensure(8); this.view.setBigInt64(this.pos, v, true); this.pos += 8; }
+    f32(v) { this.ensure(4); this.view.setFloat32(this.pos, v, true); this.pos += 4; }
+    f64(v) { this.ensure(8); this.view.setFloat64(this.pos, v, true); this.pos += 8; }
+
+    varint(v) {
+        if (v < 0 || v > 0xffffffff) return this.varint64(BigInt.asUintN(64, BigInt(v)));
+        this.ensure(5);
+        while (v > 127) {
+            this.buf[this.pos++] = (v & 0x7f) | 0x80;
+            v >>>= 7;
+        }
+        this.buf[this.pos++] = v;
+    }
+
+    varint64(v) {
+        this.ensure(10);
+        while (v > 127n) {
+            this.buf[this.pos++] = Number(v & 0x7fn) | 0x80;
+            v >>= 7n;
+        }
+        this.buf[this.pos++] = Number(v);
+    }
+
+    bytes(b) { this.ensure(b.length); this.buf.set(b, this.pos); this.pos += b.length; }
+
+    str(s) {
+        const b = TE.encode(s);
+        this.varint(b.length);
+        this.bytes(b);
+    }
+
+    // nested structs are length-prefixed: write the body, then slide it right to fit the varint
+    beginLength() { return this.pos; }
+
+    endLength(start) {
+        const len = this.pos - start;
+        let size = 1;
+        while (len >= 2 ** (7 * size)) size++;
+        this.ensure(size);
+        this.buf.copyWithin(start + size, start, this.pos);
+        this.pos = start;
+        this.varint(len);
+        this.pos = start + size + len;
+    }
+
+    finish() { return this.buf.slice(0, this.pos); }
+}
+
+class Reader {
+    constructor(buf, offset = 0) {
+        this.buf = buf;
+        this.view = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+        this.pos = offset;
+        this.end = buf.length;
+    }
+
+    need(n) {
+        if (STRICT && this.pos + n > this.end) corrupt(this.pos, 'Input truncated: need ' + n + ' byte(s), ' + Math.max(this.end - this.pos, 0) + ' left');
+    }
+
+    u8() { this.need(1); return this.buf[this.pos++]; }
+    i8() { this.need(1); const v = this.view.getInt8(this.pos); this.pos += 1; return v; }
+    u16() { this.need(2); const v = this.view.getUint16(this.pos, true); this.pos += 2; return v; }
+    i16() { this.need(2); const v = this.view.getInt16(this.pos, true); this.pos += 2; return v; }
+    u32() { this.need(4); const v = this.view.getUint32(this.pos, true); this.pos += 4; return v; }
+    i32() { this.need(4); const v = this.view.getInt32(this.pos, true); this.pos += 4; return v; }
+    u64() { this.need(8); const v = this.view.getBigUint64(this.pos, true); this.pos += 8; return v; }
+    i64() { this.need(8); const v = this.view.getBigInt64(this.pos, true); this.pos += 8; return v; }
+    f32() { this.need(4); const v = this.view.getFloat32(this.pos, true); this.pos += 4; return v; }
+    f64() { this.need(8); const v = this.view.getFloat64(this.pos, true); this.pos += 8; return v; }
+
+    varintByte(start) {
+        if (STRICT && this.pos >= this.end) corrupt(start, 'Input truncated inside a varint');
+        if (STRICT && this.pos - start >= 10) corrupt(start, 'Varint longer than 10 bytes');
+        return this.buf[this.pos++];
+    }
+
+    varint(signed) {
+        const start = this.pos;
+        let num = 0, shift = 0, b;
+        do {
+            b = this.varintByte(start);
+            num += (b & 0x7f) * (2 ** shift);
+            shift += 7;
+        } while (b & 0x80);
+        if (num <= Number.MAX_SAFE_INTEGER) return num;
+        this.pos = start;
+        return Number(this.varint64(signed));
+    }
+
+    varint64(signed) {
+        const start = this.pos;
+        let num = 0n, shift = 0n, b;
+        do {
+            b = this.varintByte(start);
+            num |= BigInt(b & 0x7f) << shift;
+            shift += 7n;
+        } while (b & 0x80);
+        num = BigInt.asUintN(64, num);
+        return signed ? BigInt.asIntN(64, num) : num;
+    }
+
+    take(n) { this.need(n); const b = this.buf.slice(this.pos, this.pos + n); this.pos += n; return b; }
+
+    str() {
+        const n = this.varint(false);
+        this.need(n);
+        const at = this.pos;
+        let s;
+        try {
+            s = TD.decode(this.buf.subarray(this.pos, this.pos + n));
+        } catch (e) {
+            corrupt(at, 'Invalid UTF-8 in string');
+        }
+        this.pos += n;
+        return s;
+    }
+}
+`;
+}
+
+// ------------------------
+// BufferWriter / BufferReader (many messages back to back in one buffer)
+// ------------------------
+class BufferWriter {
+    // write into a caller-provided Uint8Array or a fresh one of the given size; grows by doubling
+    constructor(bufOrSize = 256) {
+        this.buf = bufOrSize instanceof Uint8Array ? bufOrSize : new Uint8Array(bufOrSize);
+        this.pos = 0;
+    }
+
+    ensure(n) {
+        if (this.pos + n <= this.buf.length) return;
+        let size = Math.max(this.buf.length * 2, 16);
+        while (size < this.pos + n) size *= 2;
+        const next = new Uint8Array(size);
+        next.set(this.buf.subarray(0, this.pos));
+        this.buf = next;
+    }
+
+    // returns the end offset after the write
+    writeBytes(bytes) {
+        this.ensure(bytes.length);
+        this.buf.set(bytes, this.pos);
+        this.pos += bytes.length;
+        return this.pos;
+    }
+
+    // view of everything written so far (shares memory with the writer)
+    bytes() {
+        return this.buf.subarray(0, this.pos);
+    }
+
+    reset() {
+        this.pos = 0;
+    }
+}
+
+class BufferReader {
+    constructor(buf, offset = 0) {
+        this.buf = buf;
+        this.pos = offset;
+    }
+
+    get done() {
+        return this.pos >= this.buf.length;
+    }
+}
+
+// ------------------------
+// StreamDecoder (reassembles frames from arbitrarily split chunks)
+// ------------------------
+class StreamDecoder {
+    // options.type: frames carry no type id and all hold this struct/union
+    // options.maxFrameLength: reject length prefixes beyond this (garbage or hostile input)
+    constructor(ms, options = {}) {
+        this.ms = ms;
+        this.type = options.type ?? null;
+        this.maxFrameLength = options.maxFrameLength ?? 16 * 1024 * 1024;
+        this.buf = new Uint8Array(0);
+        this.start = 0; // first unconsumed byte
+        this.end = 0; // end of received data
+        this.offset = 0; // stream position of buf[start]
+    }
+
+    get pending() {
+        return this.end - this.start;
+    }
+
+    // Append a chunk; returns the { type, value } messages it completed. A frame that fails
+    // to decode is skipped, so pushing again (an empty chunk will do) resumes after it; the
+    // error carries the messages decoded before it in e.messages
+    push(chunk) {
+        this.append(chunk);
+        const messages = [];
+        while (this.pending > 0) {
+            const view = this.buf.subarray(this.start, this.end);
+            let frame;
+            try {
+                const head = this.ms.peekVarint(view, 0);
+                if (head && head[0] > this.maxFrameLength) {
+                    throw new StructError('FRAME_TOO_LARGE', `Frame of ${head[0]} bytes exceeds maxFrameLength ${this.maxFrameLength}`, { expected: this.maxFrameLength, actual: head[0] });
+                }
+                frame = this.ms.decodeFrame(view, 0, this.type);
+            } catch (e) {
+                throw this.failFrame(e, view, messages);
+            }
+            if (!frame) break;
+            messages.push(frame[0]);
+            this.advance(frame[1]);
+        }
+        return messages;
+    }
+
+    advance(n) {
+        this.start += n;
+        this.offset += n;
+    }
+
+    // Offsets in the error become stream positions; a frame whose length is known and that
+    // arrived whole is dropped (a bad length prefix leaves no frame boundary to resume at)
+    failFrame(e, view, messages) {
+        if (e instanceof DecodeError) e.shift(this.offset);
+        e.messages = messages;
+        let head = null;
+        try {
+            head = this.ms.peekVarint(view, 0);
+        } catch {
+            // overlong length prefix
+        }
+        if (head && head[0] <= this.maxFrameLength && head[1] + head[0] <= view.length) this.advance(head[1] + head[0]);
+        return e;
+    }
+
+    append(chunk) {
+        const data = chunk instanceof Uint8Array ? chunk : new Uint8Array(chunk);
+        if (this.end + data.length > this.buf.length) {
+            // drop consumed bytes; grow only if the unconsumed tail still doesn't fit
+            const tail = this.pending;
+            if (tail + data.length <= this.buf.length) {
+                this.buf.copyWithin(0, this.start, this.end);
+            } else {
+                const next = new Uint8Array(Math.max(tail + data.length, this.buf.length * 2, 256));
+                next.set(this.buf.subarray(this.start, this.end));
+                this.buf = next;
+            }
+            this.start = 0;
+            this.end = tail;
+        }
+        this.buf.set(data, this.end);
+        this.end += data.length;
+    }
+
+    // Call when the stream closes; throws if it stopped partway through a frame
+    finish() {
+        if (this.pending) throw new StructError('TRUNCATED', `Stream ended inside a frame (${this.pending} bytes left over)`, { actual: this.pending });
+    }
+}
+
+// ------------------------
+// BitWriter / BitReader (bit-level streams for the packed format, MSB first)
+// ------------------------
+class BitWriter {
+    constructor() {
+        this.bytes = [];
+        this.bitLength = 0;
+    }
+
+    // write the low n bits of value; values wider than 32 bits may be BigInt
+    writeBits(value, n) {
+        if (n > 32) {
+            const big = BigInt(value);
+            this.writeBits(Number(big >> 32n), n - 32);
+            this.writeBits(Number(big & 0xffffffffn), 32);
+            return;
+        }
+        value = Number(value);
+        for (let i = n - 1; i >= 0; i--) {
+            if ((this.bitLength & 7) === 0) this.bytes.push(0);
+            if (Math.floor(value / (2 ** i)) & 1) this.bytes[this.bytes.length - 1] |= 0x80 >> (this.bitLength & 7);
+            this.bitLength++;
+        }
+    }
+
+    writeBytes(u8) {
+        for (let i = 0; i < u8.length; i++) this.writeBits(u8[i], 8);
+    }
+
+    finish() {
+        return Uint8Array.from(this.bytes);
+    }
+}
+
+class BitReader {
+    // strict: reading past the end throws a DecodeError instead of yielding zero bits
+    constructor(buf, offset = 0, strict = false) {
+        this.buf = buf;
+        this.bitPos = offset * 8;
+        this.strict = strict;
+    }
+
+    // read n bits; results wider than 32 bits come back as BigInt
+    readBits(n) {
+        if (this.strict && this.bitPos + n > this.buf.length * 8) {
+            throw new DecodeError('TRUNCATED', `Input truncated: need ${n} more bit(s)`, this.bitPos >> 3);
+        }
+        if (n > 32) {
+            const hi = BigInt(this.readBits(n - 32));
+            return (hi << 32n) | BigInt(this.readBits(32));
+        }
+        let value = 0;
+        for (let i = 0; i < n; i++) {
+            const byte = this.buf[this.bitPos >> 3] ?? 0;
+            value = value * 2 + ((byte >> (7 - (this.bitPos & 7))) & 1);
+            this.bitPos++;
+        }
+        return value;
+    }
+
+    readBytes(len) {
+        // check a hostile length prefix before allocating for it
+        if (this.strict && len * 8 > this.buf.length * 8 - this.bitPos) {
+            throw new DecodeError('TRUNCATED', `Input truncated: need ${len} byte(s), ${Math.max(this.buf.length * 8 - this.bitPos, 0) >> 3} left`, this.bitPos >> 3);
+        }
+        const out = new Uint8Array(len);
+        for (let i = 0; i < len; i++) out[i] = this.readBits(8);
+        return out;
+    }
+
+    // collect the bytes of one varint so the byte-level decoders can parse it
+    readVarintBytes() {
+        const bytes = [];
+        let b;
+        do {
+            b = this.readBits(8);
+            bytes.push(b);
+        } while (b & 0x80);
+        return Uint8Array.from(bytes);
+    }
+}
+
+// ------------------------
+// CompatibilityChecker (diffs two parsed schemas: can data written with the old one be decoded with the new?)
+// ------------------------
+class CompatibilityChecker {
+    constructor(before, after) {
+        this.before = before;
+        this.after = after;
+        // compact and packed match fields by position, tagged and protobuf by tag number
+        this.format = after.options.format;
+        this.byTag = this.format === 'tagged' || this.format === 'protobuf';
+        this.breaking = [];
+        this.safe = [];
+    }
+
+    // { compatible, format, breaking: [change], safe: [change] }, change = { code, path, message, before?, after? }
+    report() {
+        const { before, after } = this;
+        if (before.options.format !== this.format) {
+            this.change(true, 'FORMAT_CHANGED', '', `format changed from ${before.options.format} to ${this.format}`, before.options.format, this.format);
+        }
+        this.compareEnums(before.enums, after.enums, '');
+        this.compareDecls('struct', before.structs, after.structs, (name, a, b) => this.compareStruct(name, a, b));
+        this.compareDecls('union', before.unions, after.unions, (name, a, b) => this.compareUnion(name, a, b));
+        return { compatible: this.breaking.length === 0, format: this.format, breaking: this.breaking, safe: this.safe };
+    }
+
+    change(breaking, code, path, message, before, after) {
+        const entry = { code, path, message };
+        if (before !== undefined) entry.before = before;
+        if (after !== undefined) entry.after = after;
+        (breaking ? this.breaking : this.safe).push(entry);
+    }
+
+    // removed declarations break old data that uses them; new ones can't appear in it
+    compareDecls(kind, before, after, compare) {
+        for (const [name, decl] of Object.entries(before)) {
+            if (after[name]) compare(name, decl, after[name]);
+            else this.change(true, `${kind.toUpperCase()}_REMOVED`, name, `${kind} ${name} was removed`);
+        }
+        for (const name of Object.keys(after)) {
+            if (!before[name]) this.change(false, `${kind.toUpperCase()}_ADDED`, name, `${kind} ${name} was added`);
+        }
+    }
+
+    // enums travel as their numeric values, so members must keep them
+    compareEnums(before, after, scope) {
+        const prefix = scope ? `${scope}.` : '';
+        this.compareDecls('enum', before, after, (name, a, b) => {
+            const path = prefix + name;
+            for (const [member, value] of Object.entries(a.nameToVal)) {
+                if (!(member in b.nameToVal)) this.change(true, 'ENUM_MEMBER_REMOVED', `${path}.${member}`, `member ${member} (${value}) was removed from enum ${path}`, value);
+                else if (b.nameToVal[member] !== value) this.change(true, 'ENUM_VALUE_CHANGED', `${path}.${member}`, `${path}.${member} was renumbered from ${value} to ${b.nameToVal[member]}`, value, b.nameToVal[member]);
+            }
+            for (const [member, value] of Object.entries(b.nameToVal)) {
+                if (!(member in a.nameToVal)) this.change(false, 'ENUM_MEMBER_ADDED', `${path}.${member}`, `member ${member} (${value}) was added to enum ${path}`, undefined, value);
+            }
+            // packed enums are stored as an offset from the smallest value, in as few bits as the span needs
+            const [oldBounds, newBounds] = [this.before.enumBounds(a), this.after.enumBounds(b)];
+            if (this.format === 'packed' && (oldBounds[0] !== newBounds[0] || oldBounds[1] !== newBounds[1])) {
+                this.change(true, 'ENUM_RANGE_CHANGED', path, `values of enum ${path} moved from ${oldBounds.join('..')} to ${newBounds.join('..')}, which changes its packed encoding`, oldBounds.join('..'), newBounds.join('..'));
+            }
+        });
+        // (renamed local enums are reported through the fields using them)
+    }
+
+    compareStruct(name, a, b) {
+        this.compareEnums(a.localEnums, b.localEnums, name);
+        if (this.byTag) {
+            const byTag = {};
+            for (const field of b.fields) byTag[field.tag] = field;
+            for (const field of a.fields) {
+                const match = byTag[field.tag];
+                if (match) this.compareField(name, field, match);
+                // the decoder skips tags it doesn't know
+                else this.change(false, 'FIELD_REMOVED', `${name}.${field.name}`, `field ${name}.${field.name} (tag ${field.tag}) was removed; old data for it is skipped`);
+            }
+            for (const field of b.fields) {
+                if (!a.fields.some(f => f.tag === field.tag)) this.fieldAdded(name, field);
+            }
+            return;
+        }
+        const presenceBytes = struct => Math.ceil(struct.optionalCount / 8);
+        if (presenceBytes(a) !== presenceBytes(b)) {
+            this.change(true, 'PRESENCE_RESIZED', name, `${name}'s optional-field bitmap grew from ${presenceBytes(a)} to ${presenceBytes(b)} byte(s), shifting every field`, presenceBytes(a), presenceBytes(b));
+        }
+        a.fields.forEach((field, i) => {
+            const path = `${name}.${field.name}`;
+            const match = b.fields[i];
+            const moved = b.fields.findIndex(f => f.name === field.name);
+            if (!match) {
+                if (moved === -1) this.change(true, 'FIELD_REMOVED', path, `field ${path} was removed; old messages still carry its bytes`);
+                else this.change(true, 'FIELD_REORDERED', path, `field ${path} moved from position ${i} to ${moved}`, i, moved);
+            } else if (match.name !== field.name && moved !== -1) {
+                this.change(true, 'FIELD_REORDERED', path, `field ${path} moved from position ${i} to ${moved}`, i, moved);
+            } else {
+                this.compareField(name, field, match);
+            }
+        });
+        b.fields.slice(a.fields.length).forEach(field => {
+            if (!a.fields.some(f => f.name === field.name)) this.fieldAdded(name, field);
+        });
+    }
+
+    compareField(structName, a, b) {
+        const path = `${structName}.${b.name}`;
+        if (a.name !== b.name) this.change(false, 'FIELD_RENAMED', path, `field ${structName}.${a.name} was renamed to ${b.name}; decoded objects use the new name`, a.name, b.name);
+        if (a.optional !== b.optional) {
+            // positional formats keep a presence bit per optional field; tagged fields are simply
+            // absent, and missing protobuf fields read as zero
+            const breaks = !this.byTag || (this.format === 'tagged' && a.optional && b.default === undefined);
+            this.change(breaks, 'FIELD_OPTIONALITY_CHANGED', path, `field ${path} became ${b.optional ? 'optional' : 'required'}`, a.optional, b.optional);
+        }
+        this.compareType(a.type, b.type, path);
+    }
+
+    // old messages end before an appended field; it decodes as absent or as its default
+    fieldAdded(structName, field) {
+        const path = `${structName}.${field.name}`;
+        if (this.format === 'packed') {
+            this.change(true, 'FIELD_ADDED', path, `field ${path} was added; packed messages have no field boundaries to stop at`);
+        } else if (field.optional || field.default !== undefined) {
+            this.change(false, 'FIELD_ADDED', path, `field ${path} was added with ${field.optional ? 'optional presence' : 'a default'}`);
+        } else if (this.format === 'protobuf' && !this.after.unions[field.type]) {
+            this.change(false, 'FIELD_ADDED', path, `field ${path} was added; old messages read it as its zero value`);
+        } else {
+            this.change(true, 'FIELD_ADDED', path, `required field ${path} was added without a default; old messages don't have it`);
+        }
+    }
+
+    compareUnion(name, a, b) {
+        for (const variant of a.variants) {
+            const path = `${name}.${variant.name}`;
+            const match = b.byName[variant.name];
+            if (!match) this.change(true, 'VARIANT_REMOVED', path, `variant ${path} was removed`);
+            else if (match.id !== variant.id) this.change(true, 'VARIANT_RENUMBERED', path, `variant ${path} was renumbered from ${variant.id} to ${match.id}`, variant.id, match.id);
+            else this.compareType(variant.type, match.type, path);
+        }
+        for (const variant of b.variants) {
+            if (!a.byName[variant.name]) this.change(false, 'VARIANT_ADDED', `${name}.${variant.name}`, `variant ${name}.${variant.name} (${variant.id}) was added`, undefined, variant.id);
+        }
+        const span = union => `${Math.min(...union.variants.map(v => v.id))}..${Math.max(...union.variants.map(v => v.id))}`;
+        if (this.format === 'packed' && span(a) !== span(b)) {
+            this.change(true, 'VARIANT_RANGE_CHANGED', name, `discriminants of union ${name} moved from ${span(a)} to ${span(b)}, which changes its packed encoding`, span(a), span(b));
+        }
+    }
+
+    // Types must match on the wire; integer ranges may only widen (never in the packed format,
+    // where the range sets the bit width)
+    compareType(a, b, path) {
+        const norm = type => type === 'int' ? { prim: 'int', name: 'int', range: null } : type === 'float' ? 'float64' : type;
+        a = norm(a);
+        b = norm(b);
+        const retyped = () => this.change(true, 'FIELD_RETYPED', path, `${path} changed type from ${this.before.typeToString(a)} to ${this.after.typeToString(b)}`, this.before.typeToString(a), this.after.typeToString(b));
+        if (typeof a === 'string' || typeof b === 'string') {
+            // named types (structs, unions, enums) are compared where they are declared
+            if (a !== b) retyped();
+            return;
+        }
+        if (a.prim !== b.prim) return retyped();
+        if (a.prim === 'int') {
+            const [x, y] = [MiniStruct.INT_TYPES[a.name], MiniStruct.INT_TYPES[b.name]];
+            if (x.bits !== y.bits || x.signed !== y.signed || x.encoding !== y.encoding) return retyped();
+            const [oldMin, oldMax] = a.range || MiniStruct.intrinsicBoundsForInt(a.name);
+            const [newMin, newMax] = b.range || MiniStruct.intrinsicBoundsForInt(b.name);
+            if (oldMin === newMin && oldMax === newMax) return;
+            const range = (min, max) => `${min}..${max}`;
+            if (newMin > oldMin || newMax < oldMax) {
+                this.change(true, 'RANGE_NARROWED', path, `range of ${path} narrowed from ${range(oldMin, oldMax)} to ${range(newMin, newMax)}`, range(oldMin, oldMax), range(newMin, newMax));
+            } else {
+                const packed = this.format === 'packed' && (a.range || b.range);
+                this.change(!!packed, 'RANGE_WIDENED', path, `range of ${path} widened from ${range(oldMin, oldMax)} to ${range(newMin, newMax)}${packed ? ', which changes its packed bit width' : ''}`, range(oldMin, oldMax), range(newMin, newMax));
+            }
+        } else if (a.prim === 'array' || a.prim === 'bytes') {
+            if (a.length !== b.length) return retyped();
+            if (a.prim === 'array') this.compareType(a.of, b.of, `${path}[]`);
+        } else if (a.prim === 'map') {
+            this.compareType(a.key, b.key, `${path}{key}`);
+            this.compareType(a.value, b.value, `${path}{value}`);
+        }
+    }
+}
+
+// ------------------------
+// JSONSchemaConverter (MiniStruct types to JSON Schema documents, and a JSON Schema subset back to schema text)
+// ------------------------
+class JSONSchemaConverter {
+    static DRAFT = 'https://json-schema.org/draft/2020-12/schema';
+
+    // validation keywords with no schema equivalent: imported types accept more than the document does
+    static UNENFORCED = ['pattern', 'format', 'minLength', 'maxLength', 'multipleOf', 'uniqueItems', 'minProperties', 'maxProperties', 'contains', 'patternProperties', 'dependentRequired', 'dependentSchemas', 'allOf', 'not', 'if', 'then', 'else'];
+
+    constructor(ms = null) {
+        this.ms = ms;
+    }
+
+    // ---- export ----
+
+    document(typeName) {
+        const ms = this.ms;
+        if (!ms.structs[typeName] && !ms.unions[typeName]) throw new StructError('UNKNOWN_TYPE', `Unknown type: ${typeName}`, { actual: typeName });
+        const deps = new Set();
+        ms.collectDependencies(typeName, deps);
+        deps.delete(typeName);
+        const doc = { $schema: JSONSchemaConverter.DRAFT, title: typeName, ...this.declSchema(typeName, typeName) };
+        if (deps.size) doc.$defs = Object.fromEntries([...deps].sort().map(name => [name, this.declSchema(name, typeName)]));
+        return doc;
+    }
+
+    ref(name, root) {
+        return { $ref: name === root ? '#' : `#/$defs/${name}` };
+    }
+
+    // Structs accept extra properties (encode ignores them), so additionalProperties stays open
+    declSchema(name, root) {
+        const ms = this.ms;
+        if (ms.enums[name]) return this.enumSchema(ms.enums[name]);
+        if (ms.unions[name]) {
+            const keyed = ms.options.unionShape === 'keyed';
+            return {
+                oneOf: ms.unions[name].variants.map(v => {
+                    const value = this.typeSchema(v.type, {}, root);
+                    if (keyed) return { type: 'object', properties: { [v.name]: value }, required: [v.name], additionalProperties: false };
+                    return { type: 'object', properties: { type: { const: v.name }, value }, required: ['type', 'value'] };
+                })
+            };
+        }
+        const properties = {};
+        const required = [];
+        for (const field of ms.structs[name].fields) {
+            properties[field.name] = this.typeSchema(field.type, field.localEnums, root);
+            if (field.default !== undefined) properties[field.name].default = this.jsonValue(field.default);
+            else if (!field.optional) required.push(field.name);
+        }
+        return required.length ? { type: 'object', properties, required } : { type: 'object', properties };
+    }
+
+    typeSchema(type, localEnums, root) {
+        const ms = this.ms;
+        if (typeof type === 'object' && type.prim === 'int') {
+            // 64-bit bounds come out rounded to the nearest double
+            const [min, max] = type.range || MiniStruct.intrinsicBoundsForInt(type.name);
+            return { type: 'integer', minimum: Number(min), maximum: Number(max) };
+        }
+        if (typeof type === 'object' && type.prim === 'array') {
+            const out = { type: 'array', items: this.typeSchema(type.of, localEnums, root) };
+            if (type.length !== null) Object.assign(out, { minItems: type.length, maxItems: type.length });
+            return out;
+        }
+        // bytes travel in JSON as base64 text (see bytesAsText)
+        if (typeof type === 'object' && type.prim === 'bytes') {
+            const out = { type: 'string', contentEncoding: 'base64' };
+            if (type.length !== null) out.description = `${type.length} bytes`;
+            return out;
+        }
+        if (typeof type === 'object' && type.prim === 'map') {
+            const out = { type: 'object', additionalProperties: this.typeSchema(type.value, localEnums, root) };
+            const key = type.key;
+            if (typeof key === 'object') out.propertyNames = { pattern: '^-?[0-9]+$' };
+            else if (localEnums[key]) out.propertyNames = this.enumSchema(localEnums[key]);
+            else if (key !== 'string') out.propertyNames = this.ref(key, root);
+            return out;
+        }
+        if (type === 'bool') return { type: 'boolean' };
+        if (type === 'string') return { type: 'string' };
+        if (type === 'float' || type === 'float32' || type === 'float64') return { type: 'number' };
+        if (type === 'any') return {};
+        if (localEnums[type]) return this.enumSchema(localEnums[type]);
+        return this.ref(type, root);
+    }
+
+    // JSON carries enum members by name; values other than 0, 1, 2... ride along in
+    // x-enumValues (an annotation validators ignore) so an import can keep them
+    enumSchema(e) {
+        const out = { enum: Object.keys(e.nameToVal) };
+        if (Object.values(e.nameToVal).some((value, i) => value !== i)) out['x-enumValues'] = { ...e.nameToVal };
+        return out;
+    }
+
+    // defaults as plain JSON: BigInt -> number, bytes -> base64
+    jsonValue(value) {
+        if (typeof value === 'bigint') return Number(value);
+        if (value instanceof Uint8Array) return MiniStruct.bytesToText(value);
+        if (Array.isArray(value)) return value.map(v => this.jsonValue(v));
+        if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, this.jsonValue(v)]));
+        return value;
+    }
+
+    // ---- import ----
+
+    // Object schemas become structs, string enums enums, tagged or keyed oneOfs unions; $defs
+    // entries keep their names and everything else is named after where it appears
+    importDocument(doc, rootName) {
+        this.doc = doc;
+        this.defs = doc.$defs || doc.definitions || {};
+        this.defsPointer = doc.$defs ? '#/$defs/' : '#/definitions/';
+        this.decls = [];
+        this.names = new Set();
+        this.enumNames = new Set();
+        this.defTypes = {};
+        this.unmapped = [];
+        const hasRoot = Object.keys(doc).some(k => !['$schema', '$id', '$defs', 'definitions', 'title', 'description', '$comment'].includes(k));
+        if (hasRoot) {
+            this.rootName = this.declareName(rootName || doc.title || 'Root');
+            this.defTypes['#'] = this.rootName;
+            if (!this.declare(this.rootName, doc, '#')) this.report('#', 'the document root is not an object, enum or union schema, so it has no struct');
+        }
+        for (const key of Object.keys(this.defs)) this.defType(key);
+        const schema = this.decls.filter(Boolean).join('\n\n') + '\n';
+        try {
+            new MiniStruct(schema);
+        } catch (e) {
+            this.report('#', `generated schema doesn't build: ${e.message}`);
+        }
+        return { schema, unmapped: this.unmapped };
+    }
+
+    report(path, reason) {
+        this.unmapped.push({ path, reason });
+    }
+
+    // a free identifier close to `wanted`
+    declareName(wanted) {
+        let base = String(wanted).replace(/[^A-Za-z0-9_]/g, '_') || 'Type';
+        if (/^\d/.test(base)) base = `_${base}`;
+        let name = base;
+        for (let i = 2; this.names.has(name) || MiniStruct.INT_TYPES[name] || MiniStruct.SCALAR_TYPES.includes(name) || name === 'map'; i++) name = `${base}${i}`;
+        this.names.add(name);
+        return name;
+    }
+
+    // Type text for a $defs entry; entries that aren't structs, enums or unions are inlined at each use
+    defType(key) {
+        if (key in this.defTypes) return this.defTypes[key];
+        const schema = this.defs[key];
+        const path = this.defsPointer + key;
+        if (this.declKind(schema)) {
+            const name = this.declareName(key);
+            this.defTypes[key] = name;
+            this.declare(name, schema, path);
+            return name;
+        }
+        this.defTypes[key] = 'any'; // guards against a def that refers to itself
+        this.defTypes[key] = this.typeOf(schema, path, key);
+        return this.defTypes[key];
+    }
+
+    declKind(schema) {
+        if (!schema || typeof schema !== 'object') return null;
+        if (schema.properties && (schema.type === 'object' || schema.type === undefined)) return 'struct';
+        if (this.enumMembers(schema)) return 'enum';
+        if (this.unionVariants(schema)) return 'union';
+        return null;
+    }
+
+    // Emit the declaration for name; false if the schema isn't a struct, enum or union
+    declare(name, schema, path) {
+        const kind = this.declKind(schema);
+        if (!kind) return false;
+        const slot = this.decls.push('') - 1; // declarations appear in the order they're first named
+        this.noteUnenforced(schema, path);
+        if (kind === 'enum') {
+            this.enumNames.add(name);
+            this.decls[slot] = `enum ${name} { ${this.enumValues(schema, path).join('; ')}; }`;
+        } else if (kind === 'union') {
+            const variants = this.unionVariants(schema).map(([variant, inner], i) => `  ${this.typeOf(inner, `${path}/oneOf/${i}`, `${name}_${variant}`)} ${variant};`);
+            this.decls[slot] = `union ${name} {\n${variants.join('\n')}\n}`;
+        } else {
+            const required = new Set(schema.required || []);
+            const fields = [];
+            for (const [prop, propSchema] of Object.entries(schema.properties)) {
+                const propPath = `${path}/properties/${prop}`;
+                if (!/^[A-Za-z_]\w*$/.test(prop)) {
+                    this.report(propPath, `property name '${prop}' is not an identifier, so the field was left out`);
+                    continue;
+                }
+                const inner = this.nonNull(propSchema);
+                const type = this.typeOf(inner || propSchema, propPath, name + prop[0].toUpperCase() + prop.slice(1));
+                const def = propSchema && propSchema.default !== undefined && propSchema.default !== null ? ` : ${this.literal(propSchema.default, type)}` : '';
+                const optional = !def && (!required.has(prop) || (inner && inner !== propSchema));
+                fields.push(`  ${optional ? 'optional ' : ''}${type} ${prop}${def};`);
+            }
+            if (schema.additionalProperties && typeof schema.additionalProperties === 'object') this.report(`${path}/additionalProperties`, 'extra properties next to declared ones are not kept');
+            this.decls[slot] = `struct ${name} {\n${fields.join('\n')}${fields.length ? '\n' : ''}}`;
+        }
+        return true;
+    }
+
+    // string members that are identifiers (enum or a single const), else null
+    enumMembers(schema) {
+        const values = Array.isArray(schema.enum) ? schema.enum : 'const' in schema ? [schema.const] : null;
+        if (!values || !values.length || !values.every(v => typeof v === 'string' && /^[A-Za-z_]\w*$/.test(v))) return null;
+        return values;
+    }
+
+    // enum members with their x-enumValues numbers when every member has a distinct integer one
+    enumValues(schema, path) {
+        const members = this.enumMembers(schema);
+        const values = schema['x-enumValues'];
+        if (values === undefined) return members;
+        const numbers = members.map(m => values && values[m]);
+        if (numbers.every(Number.isInteger) && new Set(numbers).size === numbers.length) return members.map((m, i) => `${m} = ${numbers[i]}`);
+        this.report(`${path}/x-enumValues`, 'explicit enum values need a distinct integer per member; they were lost and members are numbered from 0');
+        return members;
+    }
+
+    // Key type of a map from its propertyNames: an enum (a $ref, an identical $defs enum, or a
+    // new one), int for the integer key pattern, else string
+    mapKeyType(names, path, hint) {
+        if (names.$ref !== undefined) {
+            const type = this.typeOf(names, path, hint);
+            if (this.enumNames.has(type)) return type;
+            this.report(path, 'propertyNames $ref is not a string enum, so keys are strings');
+            return 'string';
+        }
+        if (names.pattern === '^-?[0-9]+$') return 'int';
+        const members = this.enumMembers(names);
+        if (!members) return 'string';
+        const same = JSON.stringify([members, names['x-enumValues']]);
+        const def = Object.keys(this.defs).find(key => {
+            const schema = this.defs[key];
+            return this.declKind(schema) === 'enum' && JSON.stringify([this.enumMembers(schema), schema['x-enumValues']]) === same;
+        });
+        if (def !== undefined) return this.defType(def);
+        const name = this.declareName(names.title || hint);
+        this.declare(name, names, path);
+        return name;
+    }
+
+    // [[variant, valueSchema]] for oneOf/anyOf written in the tagged ({ type, value }) or
+    // keyed ({ variant: value }) union shape, else null
+    unionVariants(schema) {
+        const options = schema.oneOf || schema.anyOf;
+        if (!Array.isArray(options) || !options.length) return null;
+        const variants = options.map(o => {
+            const props = o && o.properties;
+            if (!props) return null;
+            const names = Object.keys(props);
+            if (props.type && props.value && names.length === 2 && typeof props.type.const === 'string' && /^[A-Za-z_]\w*$/.test(props.type.const)) return [props.type.const, props.value];
+            if (names.length === 1 && /^[A-Za-z_]\w*$/.test(names[0]) && (o.required || []).includes(names[0])) return [names[0], props[names[0]]];
+            return null;
+        });
+        return variants.every(Boolean) && new Set(variants.map(v => v[0])).size === variants.length ? variants : null;
+    }
+
+    // the non-null half of a nullable schema ({ anyOf: [T, { type: 'null' }] } or { type: [t, 'null'] }), else null
+    nonNull(schema) {
+        if (!schema || typeof schema !== 'object') return null;
+        const isNull = s => s && s.type === 'null';
+        const options = schema.anyOf || schema.oneOf;
+        if (Array.isArray(options) && options.length === 2 && options.some(isNull)) return options.find(o => !isNull(o));
+        if (Array.isArray(schema.type) && schema.type.length === 2 && schema.type.includes('null')) return { ...schema, type: schema.type.find(t => t !== 'null') };
+        return null;
+    }
+
+    noteUnenforced(schema, path) {
+        for (const keyword of JSONSchemaConverter.UNENFORCED) {
+            if (keyword in schema) this.report(`${path}/${keyword}`, `'${keyword}' is not enforced`);
+        }
+    }
+
+    // Type text for a field, array element or map value; hint names any declaration it needs
+    typeOf(schema, path, hint) {
+        if (schema === true || (schema && typeof schema === 'object' && !Object.keys(schema).length)) return 'any';
+        if (!schema || typeof schema !== 'object') {
+            this.report(path, 'schema must be an object or true');
+            return 'any';
+        }
+        if (schema.$ref !== undefined) {
+            if (schema.$ref === '#' && this.rootName) return this.rootName;
+            const prefix = ['#/$defs/', '#/definitions/'].find(p => schema.$ref.startsWith(p));
+            const key = prefix && decodeURIComponent(schema.$ref.slice(prefix.length)).replace(/~1/g, '/').replace(/~0/g, '~');
+            if (key !== undefined && key in this.defs) return this.defType(key);
+            this.report(path, `$ref '${schema.$ref}' doesn't point into this document's $defs`);
+            return 'any';
+        }
+        if (this.declKind(schema)) {
+            const name = this.declareName(schema.title || hint);
+            this.declare(name, schema, path);
+            return name;
+        }
+        this.noteUnenforced(schema, path);
+        const type = Array.isArray(schema.type) ? null : schema.type;
+        if (Array.isArray(schema.type) || schema.oneOf || schema.anyOf) {
+            this.report(path, this.nonNull(schema) ? 'null is only allowed for a whole field (it becomes optional)' : 'alternatives other than tagged or keyed unions have no equivalent');
+            return 'any';
+        }
+        if (schema.enum !== undefined || schema.const !== undefined) {
+            this.report(path, 'enum values must be identifier strings');
+            return 'any';
+        }
+        if (type === 'integer') return this.intType(schema, path);
+        if (type === 'number') return 'float64';
+        if (type === 'boolean') return 'bool';
+        if (type === 'string') return schema.contentEncoding === 'base64' ? 'bytes' : 'string';
+        if (type === 'array') {
+            if (schema.prefixItems) this.report(`${path}/prefixItems`, 'tuples have no equivalent; items are untyped');
+            const of = schema.items && !schema.prefixItems ? this.typeOf(schema.items, `${path}/items`, `${hint}Item`) : 'any';
+            const fixed = Number.isInteger(schema.minItems) && schema.minItems === schema.maxItems;
+            return `${of}[${fixed ? schema.minItems : ''}]`;
+        }
+        if (type === 'object' || (type === undefined && schema.additionalProperties !== undefined)) {
+            if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                const key = schema.propertyNames ? this.mapKeyType(schema.propertyNames, `${path}/propertyNames`, `${hint}Key`) : 'string';
+                return `map<${key},${this.typeOf(schema.additionalProperties, `${path}/additionalProperties`, `${hint}Value`)}>`;
+            }
+            return 'any';
+        }
+        if (type !== undefined) this.report(path, `type '${type}' has no equivalent`);
+        return 'any';
+    }
+
+    // the smallest flavor holding [minimum, maximum], plus a range when it's narrower than the flavor
+    intType(schema, path) {
+        let min = schema.minimum ?? (typeof schema.exclusiveMinimum === 'number' ? Math.floor(schema.exclusiveMinimum) + 1 : undefined);
+        let max = schema.maximum ?? (typeof schema.exclusiveMaximum === 'number' ? Math.ceil(schema.exclusiveMaximum) - 1 : undefined);
+        if (min === undefined && max === undefined) {
+            this.report(path, 'integer without bounds becomes int (32-bit)');
+            return 'int';
+        }
+        if (min === undefined || max === undefined) this.report(path, `integer without a ${min === undefined ? 'minimum' : 'maximum'} is bounded like int32 on that side`);
+        let lo = BigInt(Math.ceil(min ?? -(2 ** 31)));
+        let hi = BigInt(Math.floor(max ?? 2 ** 31 - 1));
+        // JSON numbers are doubles: 64-bit bounds arrive rounded, so compare against them rounded too
+        const rounded = name => MiniStruct.intrinsicBoundsForInt(name).map(v => BigInt(Number(v)));
+        const flavor = ['uint8', 'int8', 'uint16', 'int16', 'uint32', 'int32', 'uint64', 'int64'].find(name => {
+            const [a, b] = rounded(name);
+            return lo >= a && hi <= b;
+        });
+        if (!flavor || lo > hi) {
+            this.report(path, `integer range ${lo}..${hi} doesn't fit any 64-bit flavor`);
+            return 'int64';
+        }
+        const [a, b] = MiniStruct.intrinsicBoundsForInt(flavor).map(BigInt);
+        if (lo < a) lo = a;
+        if (hi > b) hi = b;
+        return lo === a && hi === b ? flavor : `${flavor}[${lo},${hi}]`;
+    }
+
+    // A JSON value as a schema default literal (enum defaults are bare member names, also
+    // inside arrays and map values)
+    literal(value, type) {
+        if (typeof value === 'string') return this.enumNames.has(type) && /^[A-Za-z_]\w*$/.test(value) ? value : JSON.stringify(value);
+        if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+        if (Array.isArray(value)) return `[${value.map(v => this.literal(v, this.innerType(type))).join(', ')}]`;
+        if (value && typeof value === 'object') return `{ ${Object.entries(value).map(([k, v]) => `${JSON.stringify(k)}: ${this.literal(v, this.innerType(type))}`).join(', ')} }`;
+        return 'null';
+    }
+
+    // element type of an array type text (Color[3] -> Color), value type of a map (map<K,V> -> V)
+    innerType(type) {
+        if (typeof type !== 'string') return null;
+        const array = /^(.*)\[\d*\]$/.exec(type);
+        if (array) return array[1];
+        if (!type.startsWith('map<') || !type.endsWith('>')) return null;
+        // the comma between key and value, outside any nested map<...>
+        for (let i = 4, depth = 0; i < type.length - 1; i++) {
+            if (type[i] === '<') depth++;
+            else if (type[i] === '>') depth--;
+            else if (type[i] === ',' && depth === 0) return type.slice(i + 1, -1);
+        }
+        return null;
+    }
+}
+
+// ------------------------
+// ProtoConverter (MiniStruct schemas to proto3 text, and a proto3 subset back to schema text)
+// ------------------------
+class ProtoConverter {
+    // protobuf scalars as MiniStruct types: (s)fixed are the fixed-width flavors,
+    // (u)int the varint ones and sint the zigzag ones
+    static SCALARS = {
+        double: 'float64', float: 'float32',
+        int32: 'varint', int64: 'varint64', uint32: 'uvarint', uint64: 'uvarint64', sint32: 'sint', sint64: 'zigzag64',
+        fixed32: 'uint32', fixed64: 'uint64', sfixed32: 'int32', sfixed64: 'int64',
+        bool: 'bool', string: 'string', bytes: 'bytes',
+    };
+
+    // and back; protobuf has no 8/16-bit scalars, those go out as 32-bit varints
+    static INT_SCALARS = {
+        varint: 'int32', varint64: 'int64', uvarint: 'uint32', uvarint64: 'uint64', sint: 'sint32', zigzag64: 'sint64',
+        uint32: 'fixed32', uint64: 'fixed64', int32: 'sfixed32', int: 'sfixed32', int64: 'sfixed64',
+        int8: 'int32', int16: 'int32', uint8: 'uint32', uint16: 'uint32',
+    };
+
+    constructor(ms = null) {
+        this.ms = ms;
+    }
+
+    // ---- export ----
+
+    // Field numbers are the field tags and union variants become a oneof numbered id + 1, as
+    // in the protobuf format. What proto3 can't say (ranges, defaults, fixed lengths) is noted
+    // in comments
+    toProto({ package: pkg = null } = {}) {
+        const ms = this.ms;
+        ms.checkProtobufModel();
+        const lines = ['syntax = "proto3";'];
+        if (pkg) lines.push('', `package ${pkg};`);
+        for (const [name, e] of Object.entries(ms.enums)) lines.push('', ...this.enumDecl(name, e, ''));
+        for (const [name, struct] of Object.entries(ms.structs)) {
+            lines.push('', `message ${name} {`);
+            for (const [enumName, e] of Object.entries(struct.localEnums)) lines.push(...this.enumDecl(enumName, e, '  '));
+            for (const field of struct.fields) {
+                const notes = [];
+                if (field.default !== undefined) notes.push(`default ${MiniStruct.stringifyValue(field.default instanceof Uint8Array ? Array.from(field.default) : field.default)}`);
+                const label = field.optional ? 'optional ' : '';
+                lines.push(`  ${label}${this.fieldType(field.type, notes)} ${field.name} = ${field.tag};${this.comment(notes)}`);
+            }
+            lines.push('}');
+        }
+        for (const [name, union] of Object.entries(ms.unions)) {
+            const oneof = union.variants.some(v => v.name === 'variant') ? 'variant_' : 'variant';
+            lines.push('', `message ${name} {`, `  oneof ${oneof} {`);
+            for (const variant of union.variants) {
+                const notes = [];
+                lines.push(`    ${this.fieldType(variant.type, notes)} ${variant.name} = ${variant.id + 1};${this.comment(notes)}`);
+            }
+            lines.push('  }', '}');
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    comment(notes) {
+        return notes.length ? ` // ${notes.join('; ')}` : '';
+    }
+
+    // proto3 enums must start with a zero value; enums without one get NAME_UNSPECIFIED = 0
+    enumDecl(name, e, indent) {
+        const members = Object.entries(e.nameToVal).sort((a, b) => (a[1] !== 0) - (b[1] !== 0) || a[1] - b[1]);
+        if (!members.length || members[0][1] !== 0) members.unshift([`${name.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()}_UNSPECIFIED`, 0]);
+        const lines = [`${indent}enum ${name} {`];
+        if (new Set(members.map(m => m[1])).size < members.length) lines.push(`${indent}  option allow_alias = true;`);
+        lines.push(...members.map(([member, value]) => `${indent}  ${member} = ${value};`), `${indent}}`);
+        return lines;
+    }
+
+    // proto type of a field, with anything it loses pushed onto notes
+    fieldType(type, notes) {
+        if (typeof type === 'object' && type.prim === 'array') {
+            if (type.length !== null) notes.push(`exactly ${type.length} elements`);
+            return `repeated ${this.fieldType(type.of, notes)}`;
+        }
+        if (typeof type === 'object' && type.prim === 'map') {
+            const isEnum = typeof type.key === 'string' && type.key !== 'string' && type.key !== 'int';
+            // enums can't be map keys, their values can
+            if (isEnum) notes.push(`keys are ${type.key} values`);
+            return `map<${isEnum ? 'int32' : this.fieldType(type.key, notes)}, ${this.fieldType(type.value, notes)}>`;
+        }
+        if (typeof type === 'object' && type.prim === 'bytes') {
+            if (type.length !== null) notes.push(`exactly ${type.length} bytes`);
+            return 'bytes';
+        }
+        if ((typeof type === 'object' && type.prim === 'int') || type === 'int') {
+            const name = typeof type === 'object' ? type.name : 'int';
+            if (MiniStruct.INT_TYPES[name].bits < 32) notes.push(name);
+            if (type.range) notes.push(`range [${type.range[0]}, ${type.range[1]}]`);
+            return ProtoConverter.INT_SCALARS[name];
+        }
+        if (type === 'float' || type === 'float64') return 'double';
+        if (type === 'float32') return 'float';
+        if (type === 'any') {
+            notes.push('JSON text');
+            return 'string';
+        }
+        return type;
+    }
+
+    // ---- import ----
+
+    // Messages, enums, nested declarations (flattened to Outer_Inner), scalars, repeated, map,
+    // optional and oneof fields. Anything else is skipped and reported in unmapped
+    importProto(text, sourceName = 'proto') {
+        this.parser = new SchemaParser(text, sourceName);
+        this.unmapped = [];
+        this.decls = []; // messages and enums in source order, nested ones after their parent
+        this.byName = {}; // full proto name (without package) -> declaration
+        this.packageName = '';
+        this.parseFile();
+        const names = new Set();
+        for (const decl of this.decls) {
+            let name = decl.full.replace(/\./g, '_');
+            for (let i = 2; names.has(name) || MiniStruct.INT_TYPES[name] || MiniStruct.SCALAR_TYPES.includes(name) || name === 'map'; i++) name = `${decl.full.replace(/\./g, '_')}${i}`;
+            names.add(name);
+            decl.schemaName = name;
+        }
+        const schema = this.decls.map(decl => {
+            if (decl.kind === 'enum') return this.enumText(decl);
+            // a message holding nothing but one oneof is how unions are exported
+            const oneof = decl.fields.length && decl.fields[0].oneof;
+            return oneof && decl.fields.every(f => f.oneof === oneof) ? this.unionText(decl) : this.structText(decl);
+        }).join('\n\n') + '\n';
+        try {
+            new MiniStruct(schema, { format: 'protobuf' });
+        } catch (e) {
+            this.report(sourceName, `generated schema doesn't build: ${e.message}`);
+        }
+        return { schema, unmapped: this.unmapped };
+    }
+
+    report(path, reason) {
+        this.unmapped.push({ path, reason });
+    }
+
+    // file := (syntax | package | import | option | message | enum | service | extend | ';')*
+    parseFile() {
+        const p = this.parser;
+        let sawSyntax = false;
+        while (p.peek().kind !== 'eof') {
+            if (p.accept(';')) continue;
+            const token = p.peek();
+            if (p.accept('syntax')) {
+                p.expect('=', "after 'syntax'");
+                const version = p.peek();
+                if (version.kind !== 'string') throw SchemaParser.error(p.sourceName, version, `expected syntax version string, got ${p.describe(version)}`);
+                p.next();
+                if (p.unquote(version) !== 'proto3') throw SchemaParser.error(p.sourceName, version, `only proto3 is supported, got ${version.value}`);
+                p.expect(';', 'after syntax statement');
+                sawSyntax = true;
+            } else if (p.accept('package')) {
+                this.packageName = this.qualifiedName('package name');
+                p.expect(';', 'after package name');
+            } else if (p.accept('import')) {
+                p.accept('public') || p.accept('weak');
+                const file = p.next();
+                if (file.kind !== 'string') throw SchemaParser.error(p.sourceName, file, `expected file name to import, got ${p.describe(file)}`);
+                p.expect(';', 'after import');
+                this.report(p.unquote(file), 'imports are not followed; fields using their types are left out');
+            } else if (token.value === 'option') {
+                this.skipOption(p.sourceName);
+            } else if (p.accept('message')) {
+                this.parseMessage('');
+            } else if (p.accept('enum')) {
+                this.parseEnum('');
+            } else if (token.value === 'service' || token.value === 'extend') {
+                p.next();
+                this.report(this.qualifiedName(`${token.value} name`), `${token.value} declarations have no schema equivalent`);
+                this.skipStatement();
+            } else {
+                throw SchemaParser.error(p.sourceName, token, `expected 'message', 'enum' or a file statement, got ${p.describe(token)}`);
+            }
+        }
+        if (!sawSyntax) this.report(p.sourceName, 'no syntax statement (protoc would read proto2); read as proto3');
+    }
+
+    // [.]ident(.ident)*
+    qualifiedName(context) {
+        const p = this.parser;
+        let name = p.accept('.') ? '.' : '';
+        name += p.expectIdent(context).value;
+        while (p.accept('.')) name += `.${p.expectIdent(context).value}`;
+        return name;
+    }
+
+    // a statement up to its ';', or a block up to its closing '}'
+    skipStatement() {
+        const p = this.parser;
+        let depth = 0;
+        while (p.peek().kind !== 'eof') {
+            const token = p.next();
+            if (token.kind !== 'punct') continue;
+            if (token.value === '{') depth++;
+            else if (token.value === '}' && --depth <= 0) return;
+            else if (token.value === ';' && depth === 0) return;
+        }
+    }
+
+    skipOption(path) {
+        const p = this.parser;
+        p.next();
+        let name = '';
+        while (p.peek().kind !== 'eof' && p.peek().value !== '=' && p.peek().value !== ';') name += p.next().value;
+        this.skipStatement();
+        this.report(path, `option ${name} is ignored`);
+    }
+
+    // '[' option (',' option)* ']' after a field or enum value; returns the option text
+    fieldOptions() {
+        const p = this.parser;
+        if (!p.accept('[')) return '';
+        const parts = [];
+        for (let depth = 1; depth > 0;) {
+            const token = p.next();
+            if (token.kind === 'eof') throw SchemaParser.error(p.sourceName, token, "expected ']' to close field options, got end of schema");
+            if (token.value === '[' || token.value === '{') depth++;
+            if (token.value === ']' || token.value === '}') depth--;
+            if (depth > 0) parts.push(token.value);
+        }
+        return parts.join(' ');
+    }
+
+    declare(kind, name, scope, token) {
+        const full = scope ? `${scope}.${name}` : name;
+        if (this.byName[full]) throw SchemaParser.error(this.parser.sourceName, token, `duplicate declaration '${full}'`);
+        const decl = { kind, name, full, scope };
+        this.byName[full] = decl;
+        this.decls.push(decl);
+        return decl;
+    }
+
+    // message := 'message' IDENT '{' (field | map | oneof | message | enum | reserved | option | ';')* '}'
+    parseMessage(scope) {
+        const p = this.parser;
+        const nameToken = p.expectIdent('message name');
+        const decl = this.declare('message', nameToken.value, scope, nameToken);
+        decl.fields = [];
+        p.expect('{', `to open message ${decl.full}`);
+        while (!p.accept('}')) {
+            const token = p.peek();
+            if (token.kind === 'eof') throw SchemaParser.error(p.sourceName, token, `expected '}' to close message ${decl.full}, got end of schema`);
+            if (p.accept(';')) continue;
+            if (p.accept('message')) this.parseMessage(decl.full);
+            else if (p.accept('enum')) this.parseEnum(decl.full);
+            else if (token.value === 'option') this.skipOption(decl.full);
+            // reserved numbers and names only guard against reuse
+            else if (token.value === 'reserved') this.skipStatement();
+            else if (token.value === 'extensions' || token.value === 'extend') {
+                this.report(decl.full, `${token.value} has no schema equivalent`);
+                this.skipStatement();
+            } else if (token.value === 'oneof' && p.peek(1).kind === 'ident' && p.peek(2).value === '{') {
+                p.next();
+                const oneof = p.next().value;
+                p.next();
+                while (!p.accept('}')) {
+                    if (p.peek().kind === 'eof') throw SchemaParser.error(p.sourceName, p.peek(), `expected '}' to close oneof ${oneof}, got end of schema`);
+                    if (p.accept(';')) continue;
+                    if (p.peek().value === 'option') {
+                        this.skipOption(`${decl.full}.${oneof}`);
+                        continue;
+                    }
+                    decl.fields.push({ ...this.parseField(decl, 'optional'), oneof });
+                }
+            } else {
+                decl.fields.push(this.parseField(decl, null));
+            }
+        }
+    }
+
+    // field := ('repeated' | 'optional')? (type | 'map' '<' type ',' type '>') IDENT '=' INT options? ';'
+    parseField(decl, label) {
+        const p = this.parser;
+        const first = p.peek();
+        if (!label && (first.value === 'repeated' || first.value === 'optional' || first.value === 'required') && p.peek(1).kind === 'ident' && p.peek(2).value !== '=') {
+            label = p.next().value;
+        }
+        let type;
+        if (p.peek().value === 'map' && p.peek(1).value === '<') {
+            p.next();
+            p.next();
+            const key = this.qualifiedName('map key type');
+            p.expect(',', 'between map key and value types');
+            const value = this.qualifiedName('map value type');
+            p.expect('>', 'to close map<...>');
+            type = { map: [key, value] };
+        } else {
+            type = this.qualifiedName(`field type in message ${decl.full}`);
+        }
+        const nameToken = p.expectIdent(`field name in message ${decl.full}`);
+        p.expect('=', `after field ${decl.full}.${nameToken.value}`);
+        const number = p.expectInteger(`field number for ${decl.full}.${nameToken.value}`, false);
+        const options = this.fieldOptions();
+        p.expect(';', `after field ${decl.full}.${nameToken.value}`);
+        const field = { name: nameToken.value, label, type, number, options };
+        if (label === 'required') this.report(`${decl.full}.${field.name}`, "'required' is proto2; read as a plain field");
+        if (/\bpacked\s*=\s*false\b/.test(options)) this.report(`${decl.full}.${field.name}`, 'packed = false is ignored; repeated scalars are always written packed (parsers accept both)');
+        return field;
+    }
+
+    // enum := 'enum' IDENT '{' (IDENT '=' INT options? ';' | option | reserved | ';')* '}'
+    parseEnum(scope) {
+        const p = this.parser;
+        const nameToken = p.expectIdent('enum name');
+        const decl = this.declare('enum', nameToken.value, scope, nameToken);
+        decl.members = [];
+        p.expect('{', `to open enum ${decl.full}`);
+        while (!p.accept('}')) {
+            const token = p.peek();
+            if (token.kind === 'eof') throw SchemaParser.error(p.sourceName, token, `expected '}' to close enum ${decl.full}, got end of schema`);
+            if (p.accept(';')) continue;
+            // allow_alias only permits what enums already allow
+            if (token.value === 'option' && p.peek(1).value !== '=') {
+                p.next();
+                this.skipStatement();
+                continue;
+            }
+            if (token.value === 'reserved' && p.peek(1).value !== '=') {
+                this.skipStatement();
+                continue;
+            }
+            const member = p.expectIdent(`enum value or '}' in enum ${decl.full}`).value;
+            p.expect('=', `after enum value ${decl.full}.${member}`);
+            const value = p.expectInteger(`number for ${decl.full}.${member}`);
+            this.fieldOptions();
+            p.expect(';', `after enum value ${decl.full}.${member}`);
+            decl.members.push([member, value]);
+        }
+    }
+
+    // Type names resolve like protoc: innermost enclosing scope first; a leading '.'
+    // (or the file's package) makes them absolute
+    resolve(ref, scope) {
+        let name = ref;
+        if (name.startsWith('.')) {
+            name = name.slice(1);
+            if (this.packageName && name.startsWith(`${this.packageName}.`)) name = name.slice(this.packageName.length + 1);
+            return this.byName[name] || null;
+        }
+        for (let s = scope; ; s = s.includes('.') ? s.slice(0, s.lastIndexOf('.')) : '') {
+            const found = this.byName[s ? `${s}.${name}` : name];
+            if (found) return found;
+            if (!s) break;
+        }
+        if (this.packageName && name.startsWith(`${this.packageName}.`)) return this.byName[name.slice(this.packageName.length + 1)] || null;
+        return null;
+    }
+
+    // MiniStruct type for a proto type name, or null (reported) when there is none
+    typeOf(ref, decl, path) {
+        if (ProtoConverter.SCALARS[ref]) return ProtoConverter.SCALARS[ref];
+        const target = this.resolve(ref, decl.full);
+        if (target) return target.schemaName;
+        this.report(path, `unknown type '${ref}', so the field was left out`);
+        return null;
+    }
+
+    enumText(decl) {
+        return `enum ${decl.schemaName} { ${decl.members.map(([member, value]) => `${member} = ${value}`).join('; ')}; }`;
+    }
+
+    // Field types as schema text; fields without one are reported and left out
+    fieldTypes(decl) {
+        const types = [];
+        for (const field of decl.fields) {
+            const path = `${decl.full}.${field.name}`;
+            let type;
+            if (field.type.map) {
+                const [key, value] = field.type.map.map(t => this.typeOf(t, decl, path));
+                if (key === null || value === null) continue;
+                if (key === 'bool') {
+                    this.report(path, 'bool map keys are not supported, so the field was left out');
+                    continue;
+                }
+                type = `map<${key},${value}>`;
+            } else {
+                type = this.typeOf(field.type, decl, path);
+                if (type === null) continue;
+                if (field.label === 'repeated') type += '[]';
+            }
+            types.push([field, type]);
+        }
+        return types;
+    }
+
+    // oneof members elsewhere become optional fields
+    structText(decl) {
+        const fields = this.fieldTypes(decl).map(([field, type]) => `  ${field.label === 'optional' ? 'optional ' : ''}${type} ${field.name} = ${field.number};`);
+        for (const oneof of new Set(decl.fields.map(f => f.oneof).filter(Boolean))) {
+            this.report(`${decl.full}.${oneof}`, 'oneof members became optional fields; only one being set is not enforced');
+        }
+        return `struct ${decl.schemaName} {\n${fields.join('\n')}${fields.length ? '\n' : ''}}`;
+    }
+
+    // variant ids are the field numbers less one, as the protobuf format writes them
+    unionText(decl) {
+        const variants = this.fieldTypes(decl).map(([field, type]) => `  ${type} ${field.name} = ${field.number - 1};`);
+        return `union ${decl.schemaName} {\n${variants.join('\n')}${variants.length ? '\n' : ''}}`;
+    }
+}
+// ------------------------
+// Example usage — expanded demo showcasing features
+// ------------------------
+let schema = `
+// Global enum
+enum Color {
+  RED = 1;
+  GREEN = 2;
+  BLUE = 3;
+}
+
+struct Address {
+  string street;
+  string city;
+  int zip;
+}
+
+struct User {
+  // inline enum for role
+  enum Role { ADMIN = 1; USER = 2; GUEST = 3; }
+
+  string name;
+  uint8 id;
+  float64 score;
+  bool active;
+  Address address;
+  Role role;
+  Color favoriteColor;
+  any metadata; // arbitrary JSON blob
+  string bio; // unicode-friendly text
+  string[] tags; // varint length-prefixed list
+  uint8[0,100][3] stats; // fixed count, no prefix
+  optional string nickname; // may be omitted (tracked in a presence bitmap)
+  Address? billing;
+  uint8[1,99] level : 1; // typed default, used when the value is missing
+}
+`;
+const ms = new MiniStruct(schema);
+
+let demo = {
+    name: "Joséphine ✨", // unicode
+    id: 42,
+    score: 98.6,
+    active: true,
+    address: {
+        street: "123 Café Blvd",
+        city: "Zürich",
+        zip: 8001
+    },
+    role: "ADMIN", // using enum name
     favoriteColor: "BLUE", // global enum name
     metadata: { tags: ["demo", "测试"], preferences: { theme: "dark", itemsPerPage: 20 } },
-    bio: "Loves ☕️, music, and long walks across the byte beach."
+    bio: "Loves ☕️, music, and long walks across the byte beach.",
+    tags: ["admin", "early-adopter"],
+    stats: [87, 42, 100]
 };
 console.log(
     "Schema minified:\n\n" +
@@ -567,6 +4656,86 @@ try {
     const jsonBytes = new TextEncoder().encode(JSON.stringify(demo)).length;
     const efficiency = ((1 - encodedBytes / jsonBytes) * 100).toFixed(2);
     console.log(`Final efficiency: ${efficiency}% (encoded ${encodedBytes} bytes vs JSON ${jsonBytes} bytes)`);
+
+    // field access: read or patch one field of the encoded bytes
+    const moved = ms.setField("User", encoded, "address.city", "Bern");
+    console.log(`Field: address.city ${ms.getField("User", encoded, "address.city")} -> ${ms.getField("User", moved, "address.city")} (role ${ms.getField("User", moved, "role")})`);
+
+    // schema evolution: appending a defaulted field keeps old messages decodable
+    const evolved = MiniStruct.checkCompatibility(schema, schema.replace("level : 1;", "level : 1;\n  uint16 xp : 0;"));
+    console.log(`Compatible after adding User.xp: ${evolved.compatible} (${evolved.safe.map(c => c.code).join(", ")})`);
+
+    // self-describing messages: a header carries the struct's fingerprint
+    const headed = new MiniStruct(schema, { header: true });
+    console.log(`Identify: ${headed.identify(headed.encode("Address", demo.address))} (User fingerprint ${headed.fingerprint("User")})`);
+
+    // schema transfer: the parsed model as bytes, rebuilt on the other side without the text parser
+    const schemaBytes = ms.toBinarySchema();
+    console.log(`Binary schema: ${schemaBytes.length} bytes (text ${schema.length} chars), decodes the message: ${new MiniStruct(schemaBytes).decode("User", encoded).name === demo.name}`);
+
+    // JSON Schema for validators elsewhere, and back to schema text
+    const userJSONSchema = ms.toJSONSchema("User");
+    console.log(`JSON Schema: User with $defs ${Object.keys(userJSONSchema.$defs).join(", ")}; imported back with ${MiniStruct.fromJSONSchema(userJSONSchema).unmapped.length} unmapped keyword(s)`);
+    // the exported document imports back into a schema that builds, enum defaults included
+    const palette = new MiniStruct('enum Color { RED = 1; GREEN = 2; } struct Palette { Color[] colors : [RED, GREEN]; map<string,Color> named : { "sky": GREEN }; }');
+    const reimported = new MiniStruct(MiniStruct.fromJSONSchema(palette.toJSONSchema("Palette")).schema);
+    console.log(`JSON Schema round trip: User encodes ${new MiniStruct(MiniStruct.fromJSONSchema(userJSONSchema).schema).encode("User", demo).length} bytes, Palette defaults ${JSON.stringify(reimported.decode("Palette", reimported.encode("Palette", {})))}`);
+
+    // protobuf interop: the schema as a .proto, and messages in protobuf's wire format
+    const proto = ms.toProto();
+    const protobufBytes = new MiniStruct(schema, { format: 'protobuf' }).encode("User", demo);
+    const fromProto = new MiniStruct(MiniStruct.fromProto(proto).schema, { format: 'protobuf' });
+    console.log(`Protobuf: ${(proto.match(/^message /gm) || []).length} messages in the .proto, User in ${protobufBytes.length} bytes, read back through the .proto: ${fromProto.decode("User", protobufBytes).name === demo.name}`);
+    // known wire bytes from the protobuf encoding guide: a varint and a string, a packed
+    // repeated field, and a oneof (a union field, nested as its own message)
+    const wire = new MiniStruct('struct M { varint a = 1; string s = 2; } struct P { uvarint[] p = 4; } union Choice { string t = 0; uvarint n = 1; } struct O { Choice c = 1; }', { format: 'protobuf' });
+    const wireVectors = [
+        ["M", { a: 150, s: "hi" }, "08 96 01 12 02 68 69"],
+        ["P", { p: [3, 270, 86942] }, "22 06 03 8e 02 9e a7 05"],
+        ["O", { c: { type: "n", value: 5 } }, "0a 02 10 05"],
+    ];
+    const wireMatches = wireVectors.filter(([type, value, hex]) => {
+        const bytes = wire.encode(type, value);
+        return Array.from(bytes, b => b.toString(16).padStart(2, "0")).join(" ") === hex && JSON.stringify(wire.decode(type, bytes)) === JSON.stringify(value);
+    });
+    console.log(`Protobuf wire vectors: ${wireMatches.length}/${wireVectors.length} match byte for byte`);
+
+    // bit-packed format: ranged ints, bools and enums only spend the bits they need
+    const packed = new MiniStruct(schema, { format: 'packed' });
+    const packedBytes = packed.encode("User", demo).length;
+    console.log(`Packed format: ${packedBytes} bytes (compact ${encodedBytes} bytes)`);
+
+    // compiled mode: specialized functions per struct vs. the interpreter walking the schema
+    const bench = ms.benchmark("User", demo, 5000);
+    console.log("Benchmark (ops/sec):", bench);
+
+    // framing: several messages through one stream, re-split at random chunk boundaries
+    const stream = new BufferWriter();
+    stream.writeBytes(ms.encodeFrame("User", demo));
+    stream.writeBytes(ms.encodeFrame("Address", demo.address));
+    stream.writeBytes(ms.encodeFrame("User", { ...demo, id: 43 }));
+    const frames = stream.bytes();
+    const streamDecoder = new StreamDecoder(ms);
+    const received = [];
+    for (let pos = 0; pos < frames.length;) {
+        const size = 1 + Math.floor(Math.random() * 32);
+        received.push(...streamDecoder.push(frames.slice(pos, pos + size)));
+        pos += size;
+    }
+    streamDecoder.finish();
+    console.log(`Stream: ${received.map(m => m.type).join(", ")} from ${frames.length} bytes in random chunks`);
+    // a bad frame after two good ones in the same chunk: the error keeps the good messages,
+    // points at the stream position, and the stream carries on after the bad frame
+    const readings = new MiniStruct("struct Reading { uint8[0,100] pct; }");
+    const readingDecoder = new StreamDecoder(readings);
+    const outOfRange = Uint8Array.from([2, readings.typeIds.Reading, 200]);
+    const chunk = Uint8Array.from([...readings.encodeFrame("Reading", { pct: 50 }), ...readings.encodeFrame("Reading", { pct: 60 }), ...outOfRange, ...readings.encodeFrame("Reading", { pct: 70 })]);
+    try {
+        readingDecoder.push(chunk);
+    } catch (e) {
+        const after = readingDecoder.push(new Uint8Array(0));
+        console.log(`Stream error: ${e.code} at stream byte ${e.byteOffset}, kept ${e.messages.map(m => m.value.pct).join(", ")}, then ${after.map(m => m.value.pct).join(", ")}`);
+    }
 } catch (e) {
     console.error("Demo Error:", e && e.message ? e.message : e);
 }